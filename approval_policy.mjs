@@ -0,0 +1,117 @@
+/**
+ * Decisions an approval policy can make about a tool call
+ */
+export const Decision = {
+  ALLOW: 'allow',
+  DENY: 'deny',
+  ASK: 'ask'
+};
+
+/**
+ * Rules applied when no policy is passed to createAgent
+ */
+export const DEFAULT_RULES = [
+  { tool: 'fs_write', decision: Decision.ASK }
+];
+
+/**
+ * Convert a tool name pattern into a matcher function
+ * @param {string|RegExp|Array<string|RegExp>} pattern - Exact name, glob with `*`, RegExp or a list of those
+ * @returns {Function} Function that takes a tool name and returns whether it matches
+ */
+function createNameMatcher(pattern) {
+  if (pattern === undefined || pattern === '*') {
+    return () => true;
+  }
+  if (Array.isArray(pattern)) {
+    const matchers = pattern.map(createNameMatcher);
+    return name => matchers.some(match => match(name));
+  }
+  if (pattern instanceof RegExp) {
+    return name => pattern.test(name);
+  }
+  if (pattern.includes('*')) {
+    const source = pattern
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    const regex = new RegExp(`^${source}$`);
+    return name => regex.test(name);
+  }
+  return name => name === pattern;
+}
+
+/**
+ * Decides whether a tool call is allowed, denied or needs user confirmation.
+ *
+ * Rules are checked in order and the first matching rule wins. A deny rule
+ * always wins over a session allowance. When no rule matches, the tool's own
+ * `requiresAcceptance(input)` decides between ask and the default decision.
+ */
+export class ApprovalPolicy {
+  /**
+   * @param {Object} [config] - Policy configuration
+   * @param {Array<Object>} [config.rules] - Rules of the form { tool, when, decision }
+   * @param {string|RegExp|Array} [config.rules[].tool] - Tool name pattern, matches every tool when omitted
+   * @param {Function} [config.rules[].when] - Predicate called with (input, tool), the rule only applies when it returns true
+   * @param {string} config.rules[].decision - One of Decision.ALLOW, Decision.DENY or Decision.ASK
+   * @param {string} [config.default=Decision.ALLOW] - Decision when no rule matches and the tool does not require acceptance
+   * @param {boolean} [config.useToolAcceptance=true] - Whether to ask when the tool's requiresAcceptance() returns true
+   */
+  constructor(config = {}) {
+    this.rules = (config.rules || []).map(rule => {
+      if (!Object.values(Decision).includes(rule.decision)) {
+        throw new Error(`Invalid approval rule decision: ${rule.decision}`);
+      }
+      return {
+        ...rule,
+        matchesName: createNameMatcher(rule.tool)
+      };
+    });
+    this.defaultDecision = config.default || Decision.ALLOW;
+    this.useToolAcceptance = config.useToolAcceptance !== false;
+    this.sessionAllowed = new Set();
+  }
+
+  /**
+   * Always allow a tool for the rest of this session
+   * @param {string} toolName - The name of the tool to allow
+   */
+  allowForSession(toolName) {
+    this.sessionAllowed.add(toolName);
+  }
+
+  /**
+   * Forget all session allowances
+   */
+  clearSession() {
+    this.sessionAllowed.clear();
+  }
+
+  /**
+   * Decide what to do with a tool call
+   * @param {Object} toolCall - Tool call object with name and input
+   * @param {Object} tool - Tool instance that will handle the call
+   * @returns {string} One of Decision.ALLOW, Decision.DENY or Decision.ASK
+   */
+  evaluate(toolCall, tool) {
+    const rule = this.rules.find(rule =>
+      rule.matchesName(toolCall.name) &&
+      (!rule.when || rule.when(toolCall.input, tool))
+    );
+
+    if (rule && rule.decision === Decision.DENY) {
+      return Decision.DENY;
+    }
+    if (this.sessionAllowed.has(toolCall.name)) {
+      return Decision.ALLOW;
+    }
+    if (rule) {
+      return rule.decision;
+    }
+    if (this.useToolAcceptance && tool.requiresAcceptance(toolCall.input)) {
+      return Decision.ASK;
+    }
+    return this.defaultDecision;
+  }
+}
@@ -0,0 +1,182 @@
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { randomUUID } from 'crypto';
+import { Tool } from './tool.mjs';
+import { validateSchema, formatSchemaErrors } from './schema_validator.mjs';
+
+/**
+ * Default number of characters returned by one read_artifact call
+ */
+export const DEFAULT_ARTIFACT_PAGE_SIZE = 10000;
+
+/**
+ * Share of a truncated result kept from its start, the rest is kept from its end
+ */
+const HEAD_RATIO = 0.7;
+
+/**
+ * Stores tool output that is too large for the conversation.
+ * Artifacts are kept in memory, or as files when a directory is given so
+ * they outlive the process together with a saved session.
+ */
+export class ArtifactStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {string} [options.directory] - Directory for artifact files, artifacts are kept in memory when omitted
+   */
+  constructor(options = {}) {
+    this.directory = options.directory;
+    this.artifacts = new Map();
+  }
+
+  /**
+   * Store a text
+   * @param {string} content - Text to store
+   * @returns {Promise<string>} The artifact ID
+   */
+  async put(content) {
+    const id = `artifact-${randomUUID()}`;
+    if (this.directory) {
+      await mkdir(this.directory, { recursive: true });
+      await writeFile(join(this.directory, `${id}.txt`), content, 'utf8');
+    } else {
+      this.artifacts.set(id, content);
+    }
+    return id;
+  }
+
+  /**
+   * Get the text of an artifact
+   * @param {string} id - Artifact ID
+   * @returns {Promise<string|undefined>} The text, or undefined if there is no such artifact
+   */
+  async get(id) {
+    if (!this.directory) {
+      return this.artifacts.get(id);
+    }
+    if (!/^artifact-[0-9a-f-]+$/.test(id)) {
+      return undefined;
+    }
+    try {
+      return await readFile(join(this.directory, `${id}.txt`), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return undefined;
+      throw error;
+    }
+  }
+}
+
+/**
+ * Get the text of a tool result that is measured and truncated.
+ * Results of the form { result: string } or { error: string } use the string itself.
+ * @param {Object} content - Normalized tool result content
+ * @returns {string} The text
+ */
+function resultText(content) {
+  const keys = Object.keys(content);
+  if (keys.length === 1 && typeof content[keys[0]] === 'string' && (keys[0] === 'result' || keys[0] === 'error')) {
+    return content[keys[0]];
+  }
+  return JSON.stringify(content, null, 2);
+}
+
+/**
+ * Truncate a tool result that is larger than maxSize characters.
+ * The full text is stored in the artifact store and the result keeps its
+ * head and tail with a marker that tells the model how to read the rest.
+ * @param {Object} content - Normalized tool result content
+ * @param {number} maxSize - Maximum size in characters
+ * @param {ArtifactStore} store - Store for the full text
+ * @returns {Promise<Object>} The original content or the truncated result
+ */
+export async function limitToolResult(content, maxSize, store) {
+  const text = resultText(content);
+  if (maxSize === undefined || text.length <= maxSize) {
+    return content;
+  }
+
+  const artifactId = await store.put(text);
+  const headLength = Math.floor(maxSize * HEAD_RATIO);
+  const tailLength = maxSize - headLength;
+  const omitted = text.length - headLength - tailLength;
+  const marker = `[... ${omitted} of ${text.length} characters omitted. ` +
+    `The full output is stored as artifact ${artifactId}, use the read_artifact tool to page through it ...]`;
+  const truncated = `${text.slice(0, headLength)}\n\n${marker}\n\n${text.slice(text.length - tailLength)}`;
+
+  return {
+    [content.error ? 'error' : 'result']: truncated,
+    truncated: true,
+    artifactId,
+    totalLength: text.length
+  };
+}
+
+/**
+ * Create the built-in tool that pages through a stored artifact
+ * @param {ArtifactStore} store - Artifact store
+ * @param {Object} [options] - Tool options
+ * @param {number} [options.pageSize=DEFAULT_ARTIFACT_PAGE_SIZE] - Maximum characters returned per call
+ * @returns {Tool} The read_artifact tool
+ */
+export function createReadArtifactTool(store, options = {}) {
+  const pageSize = options.pageSize || DEFAULT_ARTIFACT_PAGE_SIZE;
+
+  return new class extends Tool {
+    getName() {
+      return 'read_artifact';
+    }
+
+    getDescription() {
+      return 'Read part of a large tool output that was truncated and stored as an artifact. ' +
+        `Returns at most ${pageSize} characters starting at offset, and the offset of the next page.`;
+    }
+
+    getParameters() {
+      return {
+        type: 'object',
+        properties: {
+          artifactId: { type: 'string', description: 'ID of the artifact from the truncated tool result' },
+          offset: { type: 'integer', minimum: 0, description: 'Character offset to start reading at, defaults to 0' },
+          length: { type: 'integer', minimum: 1, maximum: pageSize, description: `Number of characters to read, defaults to ${pageSize}` }
+        },
+        required: ['artifactId']
+      };
+    }
+
+    validate(params) {
+      // Checks offset and length too, a negative or fractional offset would slice the wrong text
+      const errors = validateSchema(this.getParameters(), params);
+      if (errors.length > 0) {
+        return { ok: false, error: formatSchemaErrors(errors), errors };
+      }
+      return { ok: true };
+    }
+
+    async execute(params) {
+      const text = await store.get(params.artifactId);
+      if (text === undefined) {
+        return { error: `Artifact ${params.artifactId} does not exist` };
+      }
+
+      const offset = params.offset || 0;
+      const content = text.slice(offset, offset + Math.min(params.length || pageSize, pageSize));
+      const nextOffset = offset + content.length;
+
+      return {
+        artifactId: params.artifactId,
+        offset,
+        totalLength: text.length,
+        content,
+        nextOffset: nextOffset < text.length ? nextOffset : null
+      };
+    }
+
+    getMaxResultSize() {
+      return Infinity;
+    }
+
+    isConcurrencySafe() {
+      return true;
+    }
+  };
+}
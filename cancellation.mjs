@@ -0,0 +1,84 @@
+import { AbortError } from './errors.mjs';
+
+/**
+ * Get the abort reason of a signal as an AbortError
+ * @param {AbortSignal} signal - The aborted signal
+ * @returns {AbortError} The abort reason
+ */
+export function abortReason(signal) {
+  return signal.reason instanceof AbortError
+    ? signal.reason
+    : new AbortError(signal.reason?.message);
+}
+
+/**
+ * Create an AbortController that aborts when any of the given signals aborts
+ * @param {...AbortSignal} signals - Signals to follow, undefined entries are ignored
+ * @returns {Object} { controller, dispose } where dispose stops following the signals
+ */
+export function linkSignals(...signals) {
+  const controller = new AbortController();
+  const cleanups = [];
+
+  for (const signal of signals.filter(Boolean)) {
+    if (signal.aborted) {
+      controller.abort(abortReason(signal));
+      break;
+    }
+    const onAbort = () => controller.abort(abortReason(signal));
+    signal.addEventListener('abort', onAbort, { once: true });
+    cleanups.push(() => signal.removeEventListener('abort', onAbort));
+  }
+
+  return {
+    controller,
+    dispose: () => cleanups.forEach(cleanup => cleanup())
+  };
+}
+
+/**
+ * Abort a controller after a number of milliseconds
+ * @param {AbortController} controller - Controller to abort
+ * @param {number} [ms] - Timeout in milliseconds, no timeout when omitted
+ * @param {string} message - Message of the AbortError
+ * @returns {Function} Function that cancels the timeout
+ */
+export function abortAfter(controller, ms, message) {
+  if (!ms) {
+    return () => {};
+  }
+  const timer = setTimeout(() => {
+    controller.abort(new AbortError(message, { timeout: true }));
+  }, ms);
+  return () => clearTimeout(timer);
+}
+
+/**
+ * Settle with the promise, or reject with the abort reason as soon as the signal aborts
+ * @param {Promise} promise - Promise to race
+ * @param {AbortSignal} [signal] - Signal to watch
+ * @returns {Promise} The promise result
+ */
+export function raceWithSignal(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  if (signal.aborted) {
+    return Promise.reject(abortReason(signal));
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(abortReason(signal));
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(
+      value => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      error => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    );
+  });
+}
@@ -0,0 +1,386 @@
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+import { CassetteMismatchError } from './errors.mjs';
+import { stableStringify } from './tool_cache.mjs';
+
+/**
+ * Modes of a cassette
+ */
+export const CassetteMode = {
+  RECORD: 'record',
+  REPLAY: 'replay',
+  // Replay when the cassette file exists, otherwise record it
+  AUTO: 'auto'
+};
+
+/**
+ * Version of the cassette file format
+ */
+export const CASSETTE_FORMAT_VERSION = 1;
+
+/**
+ * Random IDs, such as message, tool use and artifact IDs, differ between runs
+ */
+const UUID_PATTERN = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi;
+
+/**
+ * Reduce the messages sent to an LLM to what is compared on replay: the type
+ * and content of each message, with random IDs replaced in order of appearance
+ * @param {Array<Object>} messages - Conversation messages
+ * @returns {Array<Object>} The normalized messages
+ */
+export function normalizeRequest(messages) {
+  const ids = new Map();
+  const text = JSON.stringify(messages.map(message => ({ type: message.type, content: message.content })))
+    .replace(UUID_PATTERN, id => {
+      if (!ids.has(id)) {
+        ids.set(id, `id-${ids.size + 1}`);
+      }
+      return ids.get(id);
+    });
+  return JSON.parse(text);
+}
+
+/**
+ * Describe a message for a mismatch report
+ * @param {Object} [message] - Normalized message
+ * @returns {string} The description
+ */
+function describeMessage(message) {
+  if (!message) {
+    return 'no message';
+  }
+  const content = JSON.stringify(message.content);
+  return `${message.type} ${content.length > 80 ? content.slice(0, 77) + '...' : content}`;
+}
+
+/**
+ * Describe the first difference between two normalized requests
+ * @param {Array<Object>} expected - Recorded request
+ * @param {Array<Object>} actual - Request made during the replay
+ * @returns {string} The description
+ */
+function describeDifference(expected, actual) {
+  for (let index = 0; index < Math.max(expected.length, actual.length); index++) {
+    if (stableStringify(expected[index]) !== stableStringify(actual[index])) {
+      return `message ${index + 1} differs, expected ${describeMessage(expected[index])} but got ${describeMessage(actual[index])}`;
+    }
+  }
+  return 'the requests are equal';
+}
+
+/**
+ * Copy a value through JSON, as it is stored in the cassette
+ * @param {any} value - Value to copy
+ * @returns {any} The copy
+ */
+function toJsonValue(value) {
+  return JSON.parse(JSON.stringify(value ?? null));
+}
+
+/**
+ * Convert an error to a JSON object
+ * @param {Error} error - The error
+ * @returns {Object} { name, message, status, code }
+ */
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.status !== undefined && { status: error.status }),
+    ...(error.code !== undefined && { code: error.code })
+  };
+}
+
+/**
+ * Recreate a recorded error
+ * @param {Object} data - Serialized error
+ * @returns {Error} The error
+ */
+function restoreError(data) {
+  const error = new Error(data.message);
+  error.name = data.name;
+  if (data.status !== undefined) error.status = data.status;
+  if (data.code !== undefined) error.code = data.code;
+  return error;
+}
+
+/**
+ * Records the LLM calls and tool executions of an agent to a file, and
+ * replays them so agent runs can be tested offline and deterministically.
+ *
+ * LLM calls are replayed in the recorded order and each request must match
+ * the recorded one. Tool calls are matched on tool name and input, so tools
+ * running in parallel may finish in any order.
+ */
+export class Cassette {
+  /**
+   * @param {Object} options - Cassette options
+   * @param {string} options.path - Cassette file
+   * @param {string} [options.mode=CassetteMode.REPLAY] - CassetteMode.RECORD or CassetteMode.REPLAY
+   * @param {Array<Object>} [options.interactions] - Recorded interactions to replay
+   */
+  constructor(options) {
+    this.path = options.path;
+    this.mode = options.mode || CassetteMode.REPLAY;
+    this.interactions = options.interactions || [];
+    this.llmInteractions = this.interactions.filter(interaction => interaction.type === 'llm');
+    this.llmIndex = 0;
+    this.usedTools = new Set();
+    this.mismatches = [];
+  }
+
+  /**
+   * Open a cassette file
+   * @param {string} path - Cassette file
+   * @param {Object} [options] - Cassette options
+   * @param {string} [options.mode=CassetteMode.REPLAY] - One of CassetteMode
+   * @returns {Promise<Cassette>} The cassette
+   */
+  static async open(path, options = {}) {
+    let data = null;
+    try {
+      data = JSON.parse(await readFile(path, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    let mode = options.mode || CassetteMode.REPLAY;
+    if (mode === CassetteMode.AUTO) {
+      mode = data ? CassetteMode.REPLAY : CassetteMode.RECORD;
+    }
+    if (mode === CassetteMode.RECORD) {
+      return new Cassette({ path, mode });
+    }
+
+    if (!data) {
+      throw new Error(`Cassette not found: ${path}`);
+    }
+    if (data.version !== CASSETTE_FORMAT_VERSION) {
+      throw new Error(`Unsupported cassette format version: ${data.version}`);
+    }
+    return new Cassette({ path, mode, interactions: data.interactions });
+  }
+
+  /**
+   * Whether the cassette records, rather than replays
+   */
+  get recording() {
+    return this.mode === CassetteMode.RECORD;
+  }
+
+  /**
+   * Wrap the LLM service, fallback LLMs and tools of an agent configuration
+   * @param {Object} config - Configuration for createAgent, llm can be omitted when replaying
+   * @returns {Object} The configuration to pass to createAgent
+   */
+  wrapConfig(config) {
+    return {
+      ...config,
+      llm: this.wrapLLM(config.llm),
+      ...(config.fallbackLLMs && {
+        fallbackLLMs: config.fallbackLLMs.map((llm, index) => this.wrapLLM(llm, `fallbackLLMs[${index}]`))
+      }),
+      ...(config.tools && { tools: this.wrapTools(config.tools) })
+    };
+  }
+
+  /**
+   * Wrap an LLM service. The wrapper does not stream.
+   * @param {Object} [llm] - LLM service, not used when replaying
+   * @param {string} [name='llm'] - Name of the model in the cassette
+   * @returns {Object} LLM service for createAgent
+   */
+  wrapLLM(llm, name = 'llm') {
+    const cassette = this;
+    return {
+      registerTools(tools) {
+        llm?.registerTools(tools);
+      },
+
+      async invokeModel(messages, options) {
+        const request = normalizeRequest(messages);
+        if (!cassette.recording) {
+          return cassette.replayLLM(name, request);
+        }
+
+        let response;
+        try {
+          response = await llm.invokeModel(messages, options);
+        } catch (error) {
+          if (!options?.signal?.aborted) {
+            cassette.interactions.push({ type: 'llm', model: name, request, error: serializeError(error) });
+          }
+          throw error;
+        }
+        cassette.interactions.push({ type: 'llm', model: name, request, response: toJsonValue(response) });
+        return response;
+      }
+    };
+  }
+
+  /**
+   * Wrap tools so their executions are recorded or replayed.
+   * Everything except execute() is delegated to the original tool.
+   * @param {Array<Object>} tools - Tool instances
+   * @returns {Array<Object>} The wrapped tools
+   */
+  wrapTools(tools) {
+    return tools.map(tool => this.wrapTool(tool));
+  }
+
+  /**
+   * Wrap a tool so its executions are recorded or replayed
+   * @param {Object} tool - Tool instance
+   * @returns {Object} The wrapped tool
+   */
+  wrapTool(tool) {
+    const cassette = this;
+    const wrapped = Object.create(tool);
+
+    wrapped.execute = async (params, context) => {
+      const toolName = tool.getName();
+      if (!cassette.recording) {
+        return cassette.replayTool(toolName, params);
+      }
+
+      let result;
+      try {
+        result = await tool.execute(params, context);
+      } catch (error) {
+        if (!context?.signal?.aborted) {
+          cassette.interactions.push({ type: 'tool', toolName, input: toJsonValue(params), error: serializeError(error) });
+        }
+        throw error;
+      }
+      cassette.interactions.push({ type: 'tool', toolName, input: toJsonValue(params), result: toJsonValue(result) });
+      return result;
+    };
+
+    return wrapped;
+  }
+
+  /**
+   * Serve the next recorded LLM response
+   * @param {string} name - Name of the model called
+   * @param {Array<Object>} request - Normalized request
+   * @returns {Object} The recorded response
+   * @throws {CassetteMismatchError} If the request does not match the recording
+   */
+  replayLLM(name, request) {
+    const index = this.llmIndex++;
+    const recorded = this.llmInteractions[index];
+
+    if (!recorded) {
+      this.mismatch(`LLM request ${index + 1} was not recorded, the cassette has ${this.llmInteractions.length}`, {
+        index,
+        actual: request
+      });
+    }
+    if (recorded.model !== name) {
+      this.mismatch(`LLM request ${index + 1} was sent to ${name} but was recorded from ${recorded.model}`, {
+        index,
+        expected: recorded.model,
+        actual: name
+      });
+    }
+    if (stableStringify(recorded.request) !== stableStringify(request)) {
+      this.mismatch(`LLM request ${index + 1} does not match the cassette: ${describeDifference(recorded.request, request)}`, {
+        index,
+        expected: recorded.request,
+        actual: request
+      });
+    }
+
+    if (recorded.error) {
+      throw restoreError(recorded.error);
+    }
+    return toJsonValue(recorded.response);
+  }
+
+  /**
+   * Serve the recorded result of a tool call
+   * @param {string} toolName - Tool name
+   * @param {Object} input - Tool input
+   * @returns {any} The recorded result
+   * @throws {CassetteMismatchError} If the call was not recorded
+   */
+  replayTool(toolName, input) {
+    const key = stableStringify(input ?? null);
+    const index = this.interactions.findIndex((interaction, position) =>
+      interaction.type === 'tool' &&
+      !this.usedTools.has(position) &&
+      interaction.toolName === toolName &&
+      stableStringify(interaction.input) === key
+    );
+
+    if (index === -1) {
+      this.mismatch(`Tool call ${toolName} ${JSON.stringify(input)} was not recorded`, {
+        actual: { toolName, input }
+      });
+    }
+    this.usedTools.add(index);
+
+    const recorded = this.interactions[index];
+    if (recorded.error) {
+      throw restoreError(recorded.error);
+    }
+    return toJsonValue(recorded.result);
+  }
+
+  /**
+   * Remember a mismatch and throw it
+   * @param {string} message - Error message
+   * @param {Object} options - Error options
+   * @throws {CassetteMismatchError} Always
+   */
+  mismatch(message, options) {
+    const error = new CassetteMismatchError(message, options);
+    this.mismatches.push(error);
+    throw error;
+  }
+
+  /**
+   * Check that the replay matched the recording and used all of it
+   * @throws {CassetteMismatchError} The first mismatch, or a summary of unused interactions
+   */
+  assertDone() {
+    if (this.mismatches.length > 0) {
+      throw this.mismatches[0];
+    }
+
+    const unusedResponses = Math.max(0, this.llmInteractions.length - this.llmIndex);
+    const unusedResults = this.interactions.filter(interaction => interaction.type === 'tool').length - this.usedTools.size;
+    if (unusedResponses > 0 || unusedResults > 0) {
+      throw new CassetteMismatchError(
+        `The replay did not use ${unusedResponses} LLM response${unusedResponses === 1 ? '' : 's'} ` +
+        `and ${unusedResults} tool result${unusedResults === 1 ? '' : 's'} of the cassette`
+      );
+    }
+  }
+
+  /**
+   * Write the recorded interactions to the cassette file
+   * @returns {Promise<void>}
+   */
+  async save() {
+    await mkdir(dirname(this.path), { recursive: true });
+    await writeFile(this.path, JSON.stringify({
+      version: CASSETTE_FORMAT_VERSION,
+      interactions: this.interactions
+    }, null, 2) + '\n', 'utf8');
+  }
+
+  /**
+   * Finish the cassette: save it when recording, check it was fully replayed otherwise
+   * @returns {Promise<void>}
+   * @throws {CassetteMismatchError} If the replay did not match the recording
+   */
+  async close() {
+    if (this.recording) {
+      await this.save();
+      return;
+    }
+    this.assertDone();
+  }
+}
@@ -0,0 +1,120 @@
+/**
+ * Default settings of the context strategy
+ */
+export const DEFAULT_CONTEXT_OPTIONS = {
+  maxTokens: undefined,
+  keepRecentTurns: 2,
+  toolResultMaxTokens: 500,
+  summarize: true
+};
+
+/**
+ * Estimate the number of tokens of a message.
+ * Uses the common approximation of four characters per token.
+ * @param {Object} message - Conversation message
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(message) {
+  const text = typeof message.content === 'string'
+    ? message.content
+    : JSON.stringify(message.content ?? '');
+  return Math.ceil(text.length / 4) + 4;
+}
+
+/**
+ * Estimate the number of tokens of a list of messages
+ * @param {Array<Object>} messages - Conversation messages
+ * @returns {number} Estimated token count
+ */
+export function estimateTotalTokens(messages) {
+  return messages.reduce((total, message) => total + estimateTokens(message), 0);
+}
+
+/**
+ * Split messages into the leading messages before the first user message
+ * and groups that can be shortened, summarized or left out together.
+ *
+ * A group starts at each user message, and at each tool exchange: the tool
+ * requests of one model response, identified by their responseId, and the
+ * messages that follow them up to the next exchange. A long tool loop is
+ * therefore split into several groups, while a tool request always stays in
+ * the same group as its result.
+ * @param {Array<Object>} messages - Conversation messages
+ * @returns {Object} { head, turns } where turns is an array of message arrays
+ */
+export function groupTurns(messages) {
+  const head = [];
+  const turns = [];
+  let previous = null;
+
+  for (const message of messages) {
+    const startsExchange = message.type === 'tool-request' && !(
+      previous?.type === 'tool-request' &&
+      previous.responseId === message.responseId
+    );
+
+    if (message.type === 'user' || startsExchange) {
+      turns.push([message]);
+    } else if (turns.length === 0) {
+      head.push(message);
+    } else {
+      turns[turns.length - 1].push(message);
+    }
+    previous = message;
+  }
+
+  return { head, turns };
+}
+
+/**
+ * Replace the payload of a large tool result with a short preview.
+ * The message is copied, the stored conversation is not changed.
+ * @param {Object} message - Tool result message
+ * @param {number} maxTokens - Size above which the result is truncated
+ * @returns {Object} The original message or a truncated copy
+ */
+export function truncateToolResult(message, maxTokens) {
+  if (message.type !== 'tool-result' || estimateTokens(message) <= maxTokens) {
+    return message;
+  }
+
+  const toolResult = message.content[0].toolResult;
+  const text = JSON.stringify(toolResult.content[0].json);
+  const previewLength = maxTokens * 4;
+
+  return {
+    ...message,
+    content: [{
+      toolResult: {
+        ...toolResult,
+        content: [{
+          json: {
+            truncated: true,
+            note: `Older tool result shortened from ${text.length} characters to save context.`,
+            preview: text.slice(0, previewLength)
+          }
+        }]
+      }
+    }]
+  };
+}
+
+/**
+ * Render messages as a plain-text transcript, used as input for summarization
+ * @param {Array<Object>} messages - Conversation messages
+ * @returns {string} The transcript
+ */
+export function renderTranscript(messages) {
+  return messages.map(message => {
+    switch (message.type) {
+      case 'tool-request': {
+        const toolUse = message.content[0].toolUse;
+        return `[tool call] ${toolUse.name} ${JSON.stringify(toolUse.input)}`;
+      }
+      case 'tool-result':
+        return `[tool result] ${JSON.stringify(message.content[0].toolResult.content[0].json)}`;
+      default:
+        return `[${message.type}] ${typeof message.content === 'string' ? message.content : JSON.stringify(message.content)}`;
+    }
+  }).join('\n');
+}
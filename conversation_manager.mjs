@@ -1,4 +1,11 @@
 import { randomUUID } from 'crypto';
+import {
+  DEFAULT_CONTEXT_OPTIONS,
+  estimateTotalTokens,
+  groupTurns,
+  truncateToolResult
+} from './context_window.mjs';
+import { ContextOverflowError } from './errors.mjs';
 
 /**
  * Types of messages in the conversation history
@@ -19,19 +26,64 @@ export const NextAction = {
   SEND_USER_INPUT_TO_LLM: 'SEND_USER_INPUT_TO_LLM',
   WAIT_FOR_LOCAL_USER_INPUT: 'WAIT_FOR_LOCAL_USER_INPUT',
   EXECUTE_LOCAL_TOOL: 'EXECUTE_LOCAL_TOOL',
+  WAIT_FOR_TOOL_CONFIRMATION: 'WAIT_FOR_TOOL_CONFIRMATION',
   SEND_TOOL_RESULT_TO_LLM: 'SEND_TOOL_RESULT_TO_LLM'
 };
 
+/**
+ * Why the agent added a user message itself, stored as the message's injected property
+ */
+export const InjectionReason = {
+  TOOL_DENIED: 'toolDenied',
+  OUTPUT_RETRY: 'outputRetry'
+};
+
 export const BedrockType = {
   ASSISTANT: 'assistant',
   USER: 'user',
   SYSTEM: 'system'
 };
 
+/**
+ * Version of the serialized conversation format.
+ * Version 2 added branches, version 1 files can still be loaded.
+ */
+export const CONVERSATION_FORMAT_VERSION = 2;
+
+/**
+ * Name of the branch every conversation starts on
+ */
+export const DEFAULT_BRANCH = 'main';
+
 export class ConversationManager {
-  constructor() {
+  /**
+   * @param {Object} [options] - Conversation options
+   * @param {Object} [options.context] - Context strategy used by getContextMessages
+   * @param {number} [options.context.maxTokens] - Estimated token budget, no limit when omitted
+   * @param {number} [options.context.keepRecentTurns=2] - Number of recent turns never truncated or summarized
+   * @param {number} [options.context.toolResultMaxTokens=500] - Size above which older tool results are shortened
+   * @param {boolean} [options.context.summarize=true] - Whether to summarize older turns when a summarizer is given
+   * @param {Function} [options.onMessageAdded] - Called with each message added to the conversation
+   * @param {Function} [options.onMessagesRemoved] - Called with (messages, reason) when messages are removed from the current branch
+   */
+  constructor(options = {}) {
     this.messages = new Map();
-    this.messageOrder = [];
+    this.branches = new Map([[DEFAULT_BRANCH, []]]);
+    this.currentBranch = DEFAULT_BRANCH;
+    this.contextOptions = { ...DEFAULT_CONTEXT_OPTIONS, ...options.context };
+    this.onMessageAdded = options.onMessageAdded;
+    this.onMessagesRemoved = options.onMessagesRemoved;
+  }
+
+  /**
+   * Message IDs of the current branch in order
+   */
+  get messageOrder() {
+    return this.branches.get(this.currentBranch);
+  }
+
+  set messageOrder(order) {
+    this.branches.set(this.currentBranch, order);
   }
 
   /**
@@ -44,12 +96,66 @@ export class ConversationManager {
     };
   }
 
+  /**
+   * Serialize the conversation to a plain JSON-compatible object
+   */
+  toJSON() {
+    return {
+      version: CONVERSATION_FORMAT_VERSION,
+      currentBranch: this.currentBranch,
+      branches: Object.fromEntries(
+        [...this.branches].map(([name, order]) => [name, [...order]])
+      ),
+      messages: [...this.messages.values()].map(message => ({
+        ...message,
+        timestamp: message.timestamp.toISOString()
+      }))
+    };
+  }
+
+  /**
+   * Replace the conversation with a previously serialized one
+   */
+  load(data) {
+    if (!data || !Array.isArray(data.messages)) {
+      throw new Error('Invalid conversation data: messages array is missing');
+    }
+    if (data.version !== 1 && data.version !== CONVERSATION_FORMAT_VERSION) {
+      throw new Error(`Unsupported conversation format version: ${data.version}`);
+    }
+
+    this.clear();
+    for (const message of data.messages) {
+      this.messages.set(message.id, {
+        ...message,
+        timestamp: new Date(message.timestamp)
+      });
+    }
+
+    if (data.branches) {
+      this.branches = new Map(Object.entries(data.branches).map(([name, order]) => [name, [...order]]));
+      this.currentBranch = data.currentBranch;
+    } else {
+      this.messageOrder = data.messages.map(message => message.id);
+    }
+  }
+
+  /**
+   * Create a conversation from a previously serialized one
+   */
+  static fromJSON(data, options) {
+    const conversation = new ConversationManager(options);
+    conversation.load(data);
+    return conversation;
+  }
+
   /**
    * Add a message to the store
    */
   addMessage(message) {
     this.messages.set(message.id, message);
     this.messageOrder.push(message.id);
+    this.onMessageAdded?.(message);
     return message.id;
   }
 
@@ -68,15 +174,17 @@ export class ConversationManager {
   }
 
   /**
-   * Add a user message
+   * Add a user message.
+   * Messages the agent adds itself pass an InjectionReason as options.injected.
    */
-  addUserMessage(content) {
+  addUserMessage(content, options = {}) {
     const message = {
       id: randomUUID(),
       timestamp: new Date(),
       type: MessageType.USER,
       bedrockType: BedrockType.USER,
-      content
+      content,
+      ...(options.injected && { injected: options.injected })
     };
     return this.addMessage(message);
   }
@@ -96,9 +204,10 @@ export class ConversationManager {
   }
 
   /**
-   * Add a tool request message
+   * Add a tool request message.
+   * Requests from the same model response share the optional responseId.
    */
-  addToolRequestMessage(toolName, toolUseId, input) {
+  addToolRequestMessage(toolName, toolUseId, input, responseId) {
     const message = {
       id: randomUUID(),
       timestamp: new Date(),
@@ -113,6 +222,7 @@ export class ConversationManager {
       }],
       toolName,
       toolUseId,
+      ...(responseId && { responseId }),
     };
     return this.addMessage(message);
   }
@@ -139,6 +249,20 @@ export class ConversationManager {
     return this.addMessage(message);
   }
 
+  /**
+   * Mark a tool request as waiting for user confirmation
+   */
+  setAwaitingConfirmation(toolUseId, awaiting) {
+    const toolRequest = this.getToolRequest(toolUseId);
+    if (!toolRequest) return;
+
+    if (awaiting) {
+      toolRequest.awaitingConfirmation = true;
+    } else {
+      delete toolRequest.awaitingConfirmation;
+    }
+  }
+
   /**
    * Add an info message
    */
@@ -177,6 +301,33 @@ export class ConversationManager {
       .filter(message => message.type === type);
   }
 
+  /**
+   * Get the tool request message for a tool use ID
+   */
+  getToolRequest(toolUseId) {
+    return this.getMessagesByType(MessageType.TOOL_REQUEST)
+      .find(message => message.toolUseId === toolUseId);
+  }
+
+  /**
+   * Get tool request messages that do not have a tool result yet
+   */
+  getPendingToolRequests() {
+    const resultIds = new Set(
+      this.getMessagesByType(MessageType.TOOL_RESULT).map(message => message.toolUseId)
+    );
+    return this.getMessagesByType(MessageType.TOOL_REQUEST)
+      .filter(message => !resultIds.has(message.toolUseId));
+  }
+
+  /**
+   * Get tool request messages that are waiting for user confirmation
+   */
+  getAwaitingConfirmations() {
+    return this.getMessagesByType(MessageType.TOOL_REQUEST)
+      .filter(message => message.awaitingConfirmation);
+  }
+
   /**
    * Get the last user message
    */
@@ -195,17 +346,287 @@ export class ConversationManager {
   }
 
   /**
-   * Clear all messages
+   * Replace a set of messages with a single summary info message,
+   * inserted where the first replaced message was
+   */
+  compact(ids, content) {
+    const removed = new Set(ids);
+    const index = this.messageOrder.findIndex(id => removed.has(id));
+    if (index === -1) return undefined;
+
+    const summary = {
+      id: randomUUID(),
+      timestamp: new Date(),
+      type: MessageType.INFO,
+      bedrockType: BedrockType.USER,
+      content,
+      input: content,
+      summary: true,
+      summarizedCount: removed.size
+    };
+
+    const removedMessages = this.messageOrder
+      .filter(id => removed.has(id))
+      .map(id => this.messages.get(id));
+    this.messageOrder = this.messageOrder.filter(id => !removed.has(id));
+    this.messageOrder.splice(index, 0, summary.id);
+    this.messages.set(summary.id, summary);
+    this.pruneMessages();
+    this.onMessagesRemoved?.(removedMessages, 'compact');
+    this.onMessageAdded?.(summary);
+    return summary.id;
+  }
+
+  /**
+   * Get the messages to send to the LLM, fitted to the context strategy.
+   *
+   * When the estimated size is over maxTokens, older tool results are
+   * shortened first. If that is not enough, older turns are summarized with
+   * the given summarizer and replaced by a summary info message. As a last
+   * resort, the oldest turns are left out. Leading system and info messages
+   * and the most recent turn are always kept. Turns are the groups of
+   * groupTurns, so the tool exchanges of a long tool loop are handled one by
+   * one and a tool request is never separated from its result.
+   * @param {Object} [options] - Options
+   * @param {Function} [options.summarize] - Async function that returns a summary for a list of messages, or null to skip summarizing
+   * @returns {Promise<Array>} Messages for the LLM
+   * @throws {ContextOverflowError} If the leading messages and the last turn alone exceed maxTokens
+   */
+  async getContextMessages(options = {}) {
+    const { maxTokens, keepRecentTurns, toolResultMaxTokens } = this.contextOptions;
+    const messages = this.getAllMessages();
+
+    if (!maxTokens || estimateTotalTokens(messages) <= maxTokens) {
+      return messages;
+    }
+
+    const fit = () => {
+      const { head, turns } = groupTurns(this.getAllMessages());
+      const splitAt = Math.max(0, turns.length - keepRecentTurns);
+      const olderTurns = turns.slice(0, splitAt)
+        .map(turn => turn.map(message => truncateToolResult(message, toolResultMaxTokens)));
+      return { head, olderTurns, recentTurns: turns.slice(splitAt), originalOlderTurns: turns.slice(0, splitAt) };
+    };
+
+    let { head, olderTurns, recentTurns, originalOlderTurns } = fit();
+    let fitted = [...head, ...olderTurns.flat(), ...recentTurns.flat()];
+    if (estimateTotalTokens(fitted) <= maxTokens) {
+      return fitted;
+    }
+
+    if (this.contextOptions.summarize && options.summarize && originalOlderTurns.length > 0) {
+      // Summarize the shortened turns so the summary request fits too
+      const summary = await options.summarize(olderTurns.flat());
+      if (summary !== null) {
+        this.compact(originalOlderTurns.flat().map(message => message.id), summary);
+
+        ({ head, olderTurns, recentTurns } = fit());
+        fitted = [...head, ...olderTurns.flat(), ...recentTurns.flat()];
+        if (estimateTotalTokens(fitted) <= maxTokens) {
+          return fitted;
+        }
+      }
+    }
+
+    // Leave out the oldest turns, always keeping the last one
+    const turns = [...olderTurns, ...recentTurns];
+    // A tool exchange cannot open the request, it is preceded by a note instead
+    const note = {
+      id: randomUUID(),
+      timestamp: new Date(),
+      type: MessageType.INFO,
+      bedrockType: BedrockType.USER,
+      content: 'Earlier messages were left out to fit the context.'
+    };
+    const withNote = () => turns[0][0].bedrockType === BedrockType.ASSISTANT && head.at(-1)?.bedrockType !== BedrockType.USER
+      ? [...head, note, ...turns.flat()]
+      : [...head, ...turns.flat()];
+    while (turns.length > 1 && estimateTotalTokens(withNote()) > maxTokens) {
+      turns.shift();
+    }
+
+    fitted = withNote();
+    const tokens = estimateTotalTokens(fitted);
+    if (tokens > maxTokens) {
+      throw new ContextOverflowError(
+        `The conversation does not fit the context budget: the last turn alone needs about ${tokens} tokens, the budget is ${maxTokens}`,
+        { tokens, maxTokens }
+      );
+    }
+    return fitted;
+  }
+
+  /**
+   * Create a branch that contains the current branch up to and including a message,
+   * and switch to it
+   */
+  fork(messageId, name = this.nextBranchName()) {
+    if (this.branches.has(name)) {
+      throw new Error(`Branch already exists: ${name}`);
+    }
+    const index = this.messageOrder.indexOf(messageId);
+    if (index === -1) {
+      throw new Error(`Message not found on branch ${this.currentBranch}: ${messageId}`);
+    }
+
+    this.branches.set(name, this.copyPendingConfirmations(this.messageOrder.slice(0, index + 1)));
+    this.currentBranch = name;
+    return name;
+  }
+
+  /**
+   * Replace the tool requests waiting for confirmation in a new branch by
+   * copies, so confirming or denying them on one branch does not change the
+   * other branches
+   * @param {Array<string>} order - Message IDs of the new branch
+   * @returns {Array<string>} The message IDs with the copies
+   */
+  copyPendingConfirmations(order) {
+    return order.map(id => {
+      const message = this.messages.get(id);
+      if (!message.awaitingConfirmation) return id;
+
+      const copy = { ...message, id: randomUUID() };
+      this.messages.set(copy.id, copy);
+      return copy.id;
+    });
+  }
+
+  /**
+   * Switch to another branch
+   */
+  switchBranch(name) {
+    if (!this.branches.has(name)) {
+      throw new Error(`Branch not found: ${name}`);
+    }
+    this.currentBranch = name;
+  }
+
+  /**
+   * Delete a branch other than the current one
+   */
+  deleteBranch(name) {
+    if (name === this.currentBranch) {
+      throw new Error('Cannot delete the current branch');
+    }
+    if (!this.branches.delete(name)) {
+      throw new Error(`Branch not found: ${name}`);
+    }
+    this.pruneMessages();
+  }
+
+  /**
+   * Get a summary of every branch
+   */
+  getBranches() {
+    return [...this.branches].map(([name, order]) => ({
+      name,
+      current: name === this.currentBranch,
+      messageCount: order.length,
+      lastMessageId: order[order.length - 1]
+    }));
+  }
+
+  /**
+   * Replace an earlier user message on a new branch, keeping the original branch as it was.
+   * The new branch contains the messages before the edited one followed by the new user message.
+   */
+  editUserMessage(messageId, content, name = this.nextBranchName()) {
+    const message = this.messages.get(messageId);
+    const index = this.messageOrder.indexOf(messageId);
+    if (!message || index === -1) {
+      throw new Error(`Message not found on branch ${this.currentBranch}: ${messageId}`);
+    }
+    if (message.type !== MessageType.USER) {
+      throw new Error('Only user messages can be edited');
+    }
+    if (this.branches.has(name)) {
+      throw new Error(`Branch already exists: ${name}`);
+    }
+
+    this.branches.set(name, this.copyPendingConfirmations(this.messageOrder.slice(0, index)));
+    this.currentBranch = name;
+    return this.addUserMessage(content);
+  }
+
+  /**
+   * Remove messages after a message on the current branch
+   */
+  rewindTo(messageId) {
+    const index = this.messageOrder.indexOf(messageId);
+    if (index === -1) {
+      throw new Error(`Message not found on branch ${this.currentBranch}: ${messageId}`);
+    }
+
+    const removed = this.messageOrder.slice(index + 1).map(id => this.messages.get(id));
+    this.messageOrder = this.messageOrder.slice(0, index + 1);
+    this.pruneMessages();
+    if (removed.length > 0) {
+      this.onMessagesRemoved?.(removed, 'rewind');
+    }
+    return removed;
+  }
+
+  /**
+   * Remove the last turn, from the last user message to the end of the current branch
+   */
+  rollback() {
+    const lastUserMessage = this.getLastUserMessage();
+    if (!lastUserMessage) return [];
+
+    const index = this.messageOrder.indexOf(lastUserMessage.id);
+    const removed = this.messageOrder.slice(index).map(id => this.messages.get(id));
+    this.messageOrder = this.messageOrder.slice(0, index);
+    this.pruneMessages();
+    this.onMessagesRemoved?.(removed, 'undo');
+    return removed;
+  }
+
+  /**
+   * Get an unused branch name of the form branch-N
+   */
+  nextBranchName() {
+    let n = this.branches.size;
+    while (this.branches.has(`branch-${n}`)) {
+      n++;
+    }
+    return `branch-${n}`;
+  }
+
+  /**
+   * Delete messages that are no longer on any branch
+   */
+  pruneMessages() {
+    const referenced = new Set([...this.branches.values()].flat());
+    for (const id of this.messages.keys()) {
+      if (!referenced.has(id)) {
+        this.messages.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Clear all messages and branches
    */
   clear() {
     this.messages.clear();
-    this.messageOrder = [];
+    this.branches = new Map([[DEFAULT_BRANCH, []]]);
+    this.currentBranch = DEFAULT_BRANCH;
   }
 
   /**
-   * Determine the next action to take based on the last message
+   * Determine the next action to take based on the last message.
+   * Tool requests without a result always come first, so every tool call
+   * of a turn is answered before the results go back to the LLM.
    */
   getNextAction() {
+    const pendingToolRequests = this.getPendingToolRequests();
+    if (pendingToolRequests.length > 0) {
+      return pendingToolRequests.every(message => message.awaitingConfirmation)
+        ? NextAction.WAIT_FOR_TOOL_CONFIRMATION
+        : NextAction.EXECUTE_LOCAL_TOOL;
+    }
+
     const lastMessage = this.getLastMessage();
     
     if (!lastMessage) {
@@ -217,8 +638,6 @@ export class ConversationManager {
         return NextAction.SEND_USER_INPUT_TO_LLM;
       case MessageType.ASSISTANT:
         return NextAction.WAIT_FOR_LOCAL_USER_INPUT;
-      case MessageType.TOOL_REQUEST:
-        return NextAction.EXECUTE_LOCAL_TOOL;
       case MessageType.TOOL_RESULT:
         return NextAction.SEND_TOOL_RESULT_TO_LLM;
       case MessageType.SYSTEM:
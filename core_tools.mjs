@@ -0,0 +1,524 @@
+import { spawn } from 'child_process';
+import { mkdir, readdir, readFile, realpath, stat, writeFile } from 'fs/promises';
+import { basename, dirname, isAbsolute, join, relative, resolve, sep } from 'path';
+import { createTool } from './tool.mjs';
+import { createUnifiedDiff } from './diff.mjs';
+
+/**
+ * Default settings of the core tools
+ */
+export const DEFAULT_CORE_TOOL_OPTIONS = {
+  allowedCommands: [],
+  commandTimeout: 120000,
+  maxOutputSize: 100000,
+  maxReadLines: 2000,
+  maxEntries: 1000,
+  maxMatches: 200,
+  ignore: ['.git', 'node_modules']
+};
+
+/**
+ * Files larger than this are skipped by grep
+ */
+const MAX_GREP_FILE_SIZE = 1024 * 1024;
+
+/**
+ * Confines paths to a set of workspace roots
+ */
+export class Workspace {
+  /**
+   * @param {Array<string>} [roots=[process.cwd()]] - Root directories, relative paths are resolved against the first one
+   */
+  constructor(roots = [process.cwd()]) {
+    if (roots.length === 0) {
+      throw new Error('A workspace needs at least one root directory');
+    }
+    this.roots = roots.map(root => resolve(root));
+  }
+
+  /**
+   * Check whether an absolute path is one of the roots or inside one
+   * @param {string} path - Absolute path
+   * @param {Array<string>} roots - Root directories
+   * @returns {boolean} Whether the path is inside the workspace
+   */
+  static isInside(path, roots) {
+    return roots.some(root => path === root || path.startsWith(root.endsWith(sep) ? root : root + sep));
+  }
+
+  /**
+   * Resolve a path and make sure it stays inside the workspace, following symbolic links
+   * @param {string} [path='.'] - Absolute path, or a path relative to the first root
+   * @returns {Promise<string>} The absolute path
+   * @throws {Error} If the path is outside every root
+   */
+  async resolve(path = '.') {
+    const absolute = isAbsolute(path) ? resolve(path) : resolve(this.roots[0], path);
+    if (!Workspace.isInside(absolute, this.roots)) {
+      throw new Error(`Path ${path} is outside the workspace`);
+    }
+
+    // Resolve symbolic links of the closest existing ancestor
+    let existing = absolute;
+    let rest = '';
+    for (;;) {
+      try {
+        existing = await realpath(existing);
+        break;
+      } catch (error) {
+        if (error.code !== 'ENOENT' || dirname(existing) === existing) throw error;
+        rest = rest ? join(basename(existing), rest) : basename(existing);
+        existing = dirname(existing);
+      }
+    }
+
+    const real = rest ? join(existing, rest) : existing;
+    const realRoots = await Promise.all(this.roots.map(root => realpath(root).catch(() => root)));
+    if (!Workspace.isInside(real, realRoots)) {
+      throw new Error(`Path ${path} is outside the workspace`);
+    }
+    return absolute;
+  }
+
+  /**
+   * Get a path relative to the root that contains it, for display
+   * @param {string} absolute - Absolute path inside the workspace
+   * @returns {string} The relative path
+   */
+  display(absolute) {
+    const root = this.roots.find(candidate => Workspace.isInside(absolute, [candidate]));
+    return relative(root, absolute) || '.';
+  }
+}
+
+/**
+ * Split a shell command into simple commands at ;, &&, ||, | and newlines
+ * @param {string} command - Shell command
+ * @returns {Array<string>} The simple commands, trimmed
+ */
+function splitCommand(command) {
+  return command
+    .split(/\|\||&&|[;|\n]/)
+    .map(part => part.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Environment variables that may be set in front of an allowlisted command.
+ * Others, such as PATH, LD_PRELOAD or GIT_SSH_COMMAND, can make it run anything.
+ */
+const ALLOWED_ENV_ASSIGNMENT = /^(LANG|LANGUAGE|LC_[A-Z]+|TZ|NO_COLOR|FORCE_COLOR|COLUMNS)=[\w.:@%+,/-]*\s+/;
+
+/**
+ * Check whether a shell command only runs allowlisted commands.
+ * Commands with substitutions, variable expansions, redirections or
+ * background jobs are never considered safe, because they can run or write
+ * anything. Leading environment assignments are only accepted for harmless
+ * variables such as LANG and TZ.
+ * @param {string} command - Shell command
+ * @param {Array<string|RegExp>} allowedCommands - Command names like 'ls', prefixes like 'git status', or patterns
+ * @returns {boolean} Whether every part of the command is allowed
+ */
+export function isCommandAllowed(command, allowedCommands) {
+  if (allowedCommands.length === 0 || /[`<>&$]/.test(command.replace(/&&/g, ''))) {
+    return false;
+  }
+
+  return splitCommand(command).every(part => {
+    let simple = part;
+    while (ALLOWED_ENV_ASSIGNMENT.test(simple)) {
+      simple = simple.replace(ALLOWED_ENV_ASSIGNMENT, '');
+    }
+    if (/^\w+=/.test(simple)) {
+      return false;
+    }
+    return allowedCommands.some(allowed => allowed instanceof RegExp
+      ? allowed.test(simple)
+      : simple === allowed || simple.startsWith(`${allowed} `));
+  });
+}
+
+/**
+ * Convert a glob pattern with * and ** into a regular expression for file paths
+ * @param {string} glob - Glob pattern, matched against the file name when it has no slash
+ * @returns {RegExp} The pattern
+ */
+function globToRegExp(glob) {
+  const source = glob
+    .split('**')
+    .map(part => part
+      .split('*')
+      .map(piece => piece.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('[^/]*'))
+    .join('.*');
+  return new RegExp(glob.includes('/') ? `^${source}$` : `(^|/)${source}$`);
+}
+
+/**
+ * Walk a directory tree, skipping ignored names
+ * @param {string} directory - Directory to walk
+ * @param {Array<string>} ignore - Names to skip
+ * @param {Function} visit - Called with (absolutePath, dirent), return false to stop
+ * @returns {Promise<boolean>} False when the walk was stopped
+ */
+async function walk(directory, ignore, visit) {
+  const entries = await readdir(directory, { withFileTypes: true });
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+
+  for (const entry of entries) {
+    if (ignore.includes(entry.name)) continue;
+
+    const path = join(directory, entry.name);
+    if (await visit(path, entry) === false) return false;
+    if (entry.isDirectory() && await walk(path, ignore, visit) === false) return false;
+  }
+  return true;
+}
+
+/**
+ * Create the fs_read tool
+ * @param {Object} [options] - Core tool options, see createCoreTools
+ * @returns {Tool} The tool
+ */
+export function createFsReadTool(options = {}) {
+  const settings = { ...DEFAULT_CORE_TOOL_OPTIONS, ...options };
+  const workspace = options.workspace || new Workspace(options.roots);
+
+  return createTool({
+    name: 'fs_read',
+    description: `Read a text file from the workspace. Returns at most ${settings.maxReadLines} lines, use offset to read further.`,
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path, relative to the workspace root' },
+        offset: { type: 'integer', minimum: 1, description: 'First line to read, starting at 1' },
+        limit: { type: 'integer', minimum: 1, description: `Number of lines to read, at most ${settings.maxReadLines}` }
+      },
+      required: ['path']
+    },
+    concurrencySafe: true,
+    execute: async ({ path, offset = 1, limit = settings.maxReadLines }) => {
+      const absolute = await workspace.resolve(path);
+      const lines = (await readFile(absolute, 'utf8')).split('\n');
+      if (lines.length > 1 && lines[lines.length - 1] === '') {
+        lines.pop();
+      }
+      const count = Math.min(limit, settings.maxReadLines);
+      const content = lines.slice(offset - 1, offset - 1 + count).join('\n');
+      const lastLine = Math.min(lines.length, offset - 1 + count);
+
+      return {
+        path: workspace.display(absolute),
+        content,
+        startLine: offset,
+        endLine: lastLine,
+        totalLines: lines.length,
+        ...(lastLine < lines.length ? { nextOffset: lastLine + 1 } : {})
+      };
+    }
+  });
+}
+
+/**
+ * Create the fs_write tool. Before the file is written, a diff preview is
+ * emitted as file:newContentSuggestion for new files and as
+ * file:updateContentSuggestion for existing files.
+ * @param {Object} [options] - Core tool options, see createCoreTools
+ * @returns {Tool} The tool
+ */
+export function createFsWriteTool(options = {}) {
+  const workspace = options.workspace || new Workspace(options.roots);
+
+  /**
+   * Read the current content of the target file
+   * @param {string} absolute - Absolute path
+   * @returns {Promise<string|null>} The content, or null for a new file
+   */
+  const readCurrent = async absolute => {
+    try {
+      return await readFile(absolute, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  return createTool({
+    name: 'fs_write',
+    description: 'Create or overwrite a text file in the workspace with the given content.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path, relative to the workspace root' },
+        content: { type: 'string', description: 'The complete new content of the file' }
+      },
+      required: ['path', 'content']
+    },
+    mutating: true,
+    requiresAcceptance: () => true,
+    preview: async ({ path, content }, context = {}) => {
+      const absolute = await workspace.resolve(path);
+      const current = await readCurrent(absolute);
+      const display = workspace.display(absolute);
+      const diff = createUnifiedDiff(current ?? '', content, display);
+
+      context.emit?.(current === null ? 'file:newContentSuggestion' : 'file:updateContentSuggestion', {
+        timestamp: Date.now(),
+        toolUseId: context.toolUseId,
+        path: display,
+        oldContent: current,
+        newContent: content,
+        diff
+      });
+      return { path: display, created: current === null, diff };
+    },
+    execute: async ({ path, content }) => {
+      const absolute = await workspace.resolve(path);
+      const current = await readCurrent(absolute);
+
+      await mkdir(dirname(absolute), { recursive: true });
+      await writeFile(absolute, content, 'utf8');
+
+      return {
+        path: workspace.display(absolute),
+        created: current === null,
+        bytes: Buffer.byteLength(content)
+      };
+    }
+  });
+}
+
+/**
+ * Create the fs_list tool
+ * @param {Object} [options] - Core tool options, see createCoreTools
+ * @returns {Tool} The tool
+ */
+export function createFsListTool(options = {}) {
+  const settings = { ...DEFAULT_CORE_TOOL_OPTIONS, ...options };
+  const workspace = options.workspace || new Workspace(options.roots);
+
+  return createTool({
+    name: 'fs_list',
+    description: `List the files and directories in a workspace directory, at most ${settings.maxEntries} entries.`,
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Directory path, relative to the workspace root, defaults to the root' },
+        recursive: { type: 'boolean', description: `Whether to list subdirectories too, skipping ${settings.ignore.join(', ')}` }
+      }
+    },
+    concurrencySafe: true,
+    execute: async ({ path = '.', recursive = false }) => {
+      const absolute = await workspace.resolve(path);
+      const entries = [];
+      let truncated = false;
+
+      const add = async (entryPath, dirent) => {
+        if (entries.length >= settings.maxEntries) {
+          truncated = true;
+          return false;
+        }
+        entries.push({
+          path: relative(absolute, entryPath),
+          type: dirent.isDirectory() ? 'directory' : dirent.isSymbolicLink() ? 'symlink' : 'file',
+          ...(dirent.isFile() ? { size: (await stat(entryPath)).size } : {})
+        });
+      };
+
+      if (recursive) {
+        await walk(absolute, settings.ignore, add);
+      } else {
+        const dirents = await readdir(absolute, { withFileTypes: true });
+        dirents.sort((a, b) => a.name.localeCompare(b.name));
+        for (const dirent of dirents) {
+          if (await add(join(absolute, dirent.name), dirent) === false) break;
+        }
+      }
+
+      return { path: workspace.display(absolute), entries, truncated };
+    }
+  });
+}
+
+/**
+ * Create the grep tool, which searches file contents with a regular expression
+ * @param {Object} [options] - Core tool options, see createCoreTools
+ * @returns {Tool} The tool
+ */
+export function createGrepTool(options = {}) {
+  const settings = { ...DEFAULT_CORE_TOOL_OPTIONS, ...options };
+  const workspace = options.workspace || new Workspace(options.roots);
+
+  return createTool({
+    name: 'grep',
+    description: `Search file contents in the workspace with a JavaScript regular expression. Returns at most ${settings.maxMatches} matching lines.`,
+    parameters: {
+      type: 'object',
+      properties: {
+        pattern: { type: 'string', description: 'Regular expression to search for' },
+        path: { type: 'string', description: 'File or directory to search, defaults to the workspace root' },
+        include: { type: 'string', description: 'Glob of files to search, for example *.mjs or src/**/*.ts' },
+        ignoreCase: { type: 'boolean', description: 'Whether to ignore case' }
+      },
+      required: ['pattern']
+    },
+    concurrencySafe: true,
+    validate: params => {
+      if (typeof params?.pattern !== 'string' || params.pattern === '') {
+        return { ok: false, error: 'pattern is required' };
+      }
+      try {
+        new RegExp(params.pattern);
+      } catch (error) {
+        return { ok: false, error: `Invalid pattern: ${error.message}` };
+      }
+      return { ok: true };
+    },
+    execute: async ({ pattern, path = '.', include, ignoreCase = false }, context = {}) => {
+      const regex = new RegExp(pattern, ignoreCase ? 'i' : '');
+      const includeRegex = include ? globToRegExp(include) : null;
+      const absolute = await workspace.resolve(path);
+      const matches = [];
+      let truncated = false;
+
+      const search = async file => {
+        const info = await stat(file);
+        if (info.size > MAX_GREP_FILE_SIZE) return true;
+
+        const content = await readFile(file, 'utf8');
+        if (content.includes('\0')) return true;
+
+        const lines = content.split('\n');
+        for (let index = 0; index < lines.length; index++) {
+          if (!regex.test(lines[index])) continue;
+          if (matches.length >= settings.maxMatches) {
+            truncated = true;
+            return false;
+          }
+          matches.push({ path: workspace.display(file), line: index + 1, text: lines[index].slice(0, 500) });
+        }
+        return true;
+      };
+
+      if ((await stat(absolute)).isFile()) {
+        await search(absolute);
+      } else {
+        await walk(absolute, settings.ignore, async (file, dirent) => {
+          if (context.signal?.aborted) return false;
+          if (!dirent.isFile()) return true;
+          if (includeRegex && !includeRegex.test(relative(absolute, file).split(sep).join('/'))) return true;
+          return await search(file);
+        });
+      }
+
+      return { matches, truncated };
+    }
+  });
+}
+
+/**
+ * Append output to a buffer, keeping at most maxSize characters
+ * @param {Object} buffer - { text, dropped }
+ * @param {string} chunk - New output
+ * @param {number} maxSize - Maximum size in characters
+ */
+function appendOutput(buffer, chunk, maxSize) {
+  const room = maxSize - buffer.text.length;
+  buffer.text += chunk.slice(0, Math.max(0, room));
+  buffer.dropped += Math.max(0, chunk.length - room);
+}
+
+/**
+ * Create the execute_bash tool. Commands made only of allowlisted commands
+ * run without confirmation, every other command asks first.
+ * @param {Object} [options] - Core tool options, see createCoreTools
+ * @returns {Tool} The tool
+ */
+export function createExecuteBashTool(options = {}) {
+  const settings = { ...DEFAULT_CORE_TOOL_OPTIONS, ...options };
+  const workspace = options.workspace || new Workspace(options.roots);
+
+  return createTool({
+    name: 'execute_bash',
+    description: 'Run a bash command in the workspace and return its exit code, stdout and stderr.',
+    parameters: {
+      type: 'object',
+      properties: {
+        command: { type: 'string', description: 'The command to run' },
+        cwd: { type: 'string', description: 'Working directory, relative to the workspace root, defaults to the root' }
+      },
+      required: ['command']
+    },
+    timeout: settings.commandTimeout,
+    mutating: true,
+    requiresAcceptance: ({ command }) => !isCommandAllowed(command, settings.allowedCommands),
+    execute: async ({ command, cwd = '.' }, context = {}) => {
+      const directory = await workspace.resolve(cwd);
+
+      return await new Promise((resolvePromise, reject) => {
+        const child = spawn('bash', ['-c', command], {
+          cwd: directory,
+          stdio: ['ignore', 'pipe', 'pipe'],
+          detached: process.platform !== 'win32'
+        });
+        const stdout = { text: '', dropped: 0 };
+        const stderr = { text: '', dropped: 0 };
+
+        // Kill the whole process group, so commands started by the shell stop too
+        const onAbort = () => {
+          try {
+            process.kill(-child.pid, 'SIGKILL');
+          } catch {
+            child.kill('SIGKILL');
+          }
+        };
+        context.signal?.addEventListener('abort', onAbort, { once: true });
+
+        child.stdout.setEncoding('utf8').on('data', chunk => appendOutput(stdout, chunk, settings.maxOutputSize));
+        child.stderr.setEncoding('utf8').on('data', chunk => appendOutput(stderr, chunk, settings.maxOutputSize));
+        child.on('error', error => {
+          context.signal?.removeEventListener('abort', onAbort);
+          reject(error);
+        });
+        child.on('close', (exitCode, signal) => {
+          context.signal?.removeEventListener('abort', onAbort);
+          const note = buffer => buffer.dropped ? `\n[${buffer.dropped} more characters not shown]` : '';
+          resolvePromise({
+            exitCode,
+            ...(signal ? { signal } : {}),
+            stdout: stdout.text + note(stdout),
+            stderr: stderr.text + note(stderr)
+          });
+        });
+      });
+    }
+  });
+}
+
+/**
+ * Create the built-in tools: fs_read, fs_write, fs_list, grep and execute_bash.
+ * Every path is confined to the workspace roots. Note that execute_bash only
+ * confines its working directory, the command itself can reach anything the
+ * process can, which is why it asks for confirmation unless allowlisted.
+ * @param {Object} [options] - Tool options
+ * @param {Array<string>} [options.roots=[process.cwd()]] - Workspace root directories
+ * @param {Array<string|RegExp>} [options.allowedCommands=[]] - Commands execute_bash runs without confirmation
+ * @param {number} [options.commandTimeout=120000] - Maximum run time of a command in milliseconds
+ * @param {number} [options.maxOutputSize=100000] - Maximum characters kept of stdout and of stderr
+ * @param {number} [options.maxReadLines=2000] - Maximum lines returned by one fs_read call
+ * @param {number} [options.maxEntries=1000] - Maximum entries returned by fs_list
+ * @param {number} [options.maxMatches=200] - Maximum matches returned by grep
+ * @param {Array<string>} [options.ignore=['.git', 'node_modules']] - Names skipped by fs_list and grep when walking directories
+ * @returns {Array<Tool>} The tools
+ */
+export function createCoreTools(options = {}) {
+  const shared = { ...options, workspace: options.workspace || new Workspace(options.roots) };
+
+  return [
+    createFsReadTool(shared),
+    createFsWriteTool(shared),
+    createFsListTool(shared),
+    createGrepTool(shared),
+    createExecuteBashTool(shared)
+  ];
+}
@@ -0,0 +1,135 @@
+/**
+ * Number of unchanged lines shown around each change
+ */
+const CONTEXT_LINES = 3;
+
+/**
+ * Largest number of line pairs compared exactly. Larger changes are shown
+ * as the whole changed region removed and added again.
+ */
+const MAX_COMPARISONS = 4000000;
+
+/**
+ * Split text into lines without line endings
+ * @param {string} text - Text to split
+ * @returns {Array<string>} The lines
+ */
+function splitLines(text) {
+  if (text === '') {
+    return [];
+  }
+  return text.replace(/\r?\n$/, '').split(/\r?\n/);
+}
+
+/**
+ * Compare two lists of lines with a longest common subsequence table
+ * @param {Array<string>} before - Old lines
+ * @param {Array<string>} after - New lines
+ * @returns {Array<Object>} Operations of the form { type: ' '|'-'|'+', line }
+ */
+function compareLines(before, after) {
+  if (before.length * after.length > MAX_COMPARISONS) {
+    return [
+      ...before.map(line => ({ type: '-', line })),
+      ...after.map(line => ({ type: '+', line }))
+    ];
+  }
+
+  const lengths = Array.from({ length: before.length + 1 }, () => new Uint32Array(after.length + 1));
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i][j] = before[i] === after[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length || j < after.length) {
+    if (i < before.length && j < after.length && before[i] === after[j]) {
+      operations.push({ type: ' ', line: before[i++] });
+      j++;
+    } else if (i < before.length && (j === after.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      operations.push({ type: '-', line: before[i++] });
+    } else {
+      operations.push({ type: '+', line: after[j++] });
+    }
+  }
+  return operations;
+}
+
+/**
+ * Create a unified diff of two texts
+ * @param {string} oldText - Old content, an empty string for a new file
+ * @param {string} newText - New content
+ * @param {string} [path='file'] - File name shown in the diff header
+ * @returns {string} The diff, or an empty string when the texts are equal
+ */
+export function createUnifiedDiff(oldText, newText, path = 'file') {
+  const before = splitLines(oldText);
+  const after = splitLines(newText);
+
+  // Compare only the lines between the common start and end
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) {
+    start++;
+  }
+  let end = 0;
+  while (
+    end < before.length - start && end < after.length - start &&
+    before[before.length - 1 - end] === after[after.length - 1 - end]
+  ) {
+    end++;
+  }
+
+  const operations = [
+    ...before.slice(0, start).map(line => ({ type: ' ', line })),
+    ...compareLines(before.slice(start, before.length - end), after.slice(start, after.length - end)),
+    ...before.slice(before.length - end).map(line => ({ type: ' ', line }))
+  ];
+
+  if (!operations.some(operation => operation.type !== ' ')) {
+    return '';
+  }
+
+  const lines = [`--- a/${path}`, `+++ b/${path}`];
+  let index = 0;
+  let oldLine = 1;
+  let newLine = 1;
+
+  while (index < operations.length) {
+    // Skip to the next change, keeping some context before it
+    let change = index;
+    while (change < operations.length && operations[change].type === ' ') {
+      change++;
+    }
+    if (change === operations.length) break;
+
+    const hunkStart = Math.max(index, change - CONTEXT_LINES);
+    oldLine += hunkStart - index;
+    newLine += hunkStart - index;
+
+    // Extend the hunk until a run of unchanged lines is long enough to split it
+    let hunkEnd = change;
+    let unchanged = 0;
+    while (hunkEnd < operations.length && unchanged <= CONTEXT_LINES * 2) {
+      unchanged = operations[hunkEnd].type === ' ' ? unchanged + 1 : 0;
+      hunkEnd++;
+    }
+    hunkEnd -= Math.max(0, unchanged - CONTEXT_LINES);
+
+    const hunk = operations.slice(hunkStart, hunkEnd);
+    const oldCount = hunk.filter(operation => operation.type !== '+').length;
+    const newCount = hunk.filter(operation => operation.type !== '-').length;
+    lines.push(`@@ -${oldCount ? oldLine : oldLine - 1},${oldCount} +${newCount ? newLine : newLine - 1},${newCount} @@`);
+    lines.push(...hunk.map(operation => operation.type + operation.line));
+
+    oldLine += oldCount;
+    newLine += newCount;
+    index = hunkEnd;
+  }
+
+  return lines.join('\n') + '\n';
+}
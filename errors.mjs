@@ -0,0 +1,201 @@
+/**
+ * Codes of the errors raised by the agent
+ */
+export const ErrorCode = {
+  ABORTED: 'ABORTED',
+  LLM_ERROR: 'LLM_ERROR',
+  TOOL_VALIDATION: 'TOOL_VALIDATION',
+  TOOL_EXECUTION: 'TOOL_EXECUTION',
+  UNKNOWN_TOOL: 'UNKNOWN_TOOL',
+  OUTPUT_VALIDATION: 'OUTPUT_VALIDATION',
+  MCP_ERROR: 'MCP_ERROR',
+  CASSETTE_MISMATCH: 'CASSETTE_MISMATCH',
+  CONTEXT_OVERFLOW: 'CONTEXT_OVERFLOW',
+  AGENT_ERROR: 'AGENT_ERROR'
+};
+
+/**
+ * Base class of every error raised by the agent
+ */
+export class AgentError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {string} [options.code=ErrorCode.AGENT_ERROR] - Error code
+   * @param {Error} [options.cause] - The underlying error
+   */
+  constructor(message, options = {}) {
+    super(message, { cause: options.cause });
+    this.name = 'AgentError';
+    this.code = options.code || ErrorCode.AGENT_ERROR;
+  }
+}
+
+/**
+ * Error raised when a run, LLM call or tool execution is aborted or times out
+ */
+export class AbortError extends AgentError {
+  /**
+   * @param {string} [message] - Error message
+   * @param {Object} [options] - Error options
+   * @param {boolean} [options.timeout=false] - Whether the abort was caused by a timeout
+   */
+  constructor(message = 'The operation was aborted', options = {}) {
+    super(message, { code: ErrorCode.ABORTED });
+    this.name = 'AbortError';
+    this.timeout = options.timeout || false;
+  }
+}
+
+/**
+ * Error raised when the LLM could not be invoked, after retries and fallback models
+ */
+export class LLMError extends AgentError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {Error} [options.cause] - Error of the last attempt
+   * @param {boolean} [options.retryable=false] - Whether the last error was retryable
+   * @param {number} [options.attempts=1] - Number of attempts made over all models
+   */
+  constructor(message, options = {}) {
+    super(message, { code: ErrorCode.LLM_ERROR, cause: options.cause });
+    this.name = 'LLMError';
+    this.status = options.cause?.status;
+    this.retryable = options.retryable || false;
+    this.attempts = options.attempts || 1;
+  }
+}
+
+/**
+ * Error raised when the input of a tool call does not pass the tool's validation
+ */
+export class ToolValidationError extends AgentError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {string} [options.toolName] - Name of the tool
+   * @param {string} [options.toolUseId] - ID of the tool call
+   * @param {Array<Object>} [options.errors] - Validation errors of the form { path, message }
+   */
+  constructor(message, options = {}) {
+    super(message, { code: ErrorCode.TOOL_VALIDATION });
+    this.name = 'ToolValidationError';
+    this.toolName = options.toolName;
+    this.toolUseId = options.toolUseId;
+    this.errors = options.errors || [];
+  }
+}
+
+/**
+ * Error raised when a tool throws, times out or is blocked while executing
+ */
+export class ToolExecutionError extends AgentError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {string} [options.toolName] - Name of the tool
+   * @param {string} [options.toolUseId] - ID of the tool call
+   * @param {Error} [options.cause] - The error thrown by the tool
+   */
+  constructor(message, options = {}) {
+    super(message, { code: ErrorCode.TOOL_EXECUTION, cause: options.cause });
+    this.name = 'ToolExecutionError';
+    this.toolName = options.toolName;
+    this.toolUseId = options.toolUseId;
+  }
+}
+
+/**
+ * Error raised when the model calls a tool that is not registered
+ */
+export class UnknownToolError extends AgentError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {string} [options.toolName] - Name the model used
+   * @param {string} [options.toolUseId] - ID of the tool call
+   * @param {Array<string>} [options.availableTools] - Names of the registered tools
+   */
+  constructor(message, options = {}) {
+    super(message, { code: ErrorCode.UNKNOWN_TOOL });
+    this.name = 'UnknownToolError';
+    this.toolName = options.toolName;
+    this.toolUseId = options.toolUseId;
+    this.availableTools = options.availableTools || [];
+  }
+}
+
+/**
+ * Error raised when a run with an output schema ends without a valid answer
+ */
+export class OutputValidationError extends AgentError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {Array<Object>} [options.errors] - Validation errors of the last answer
+   * @param {string} [options.content] - The last answer
+   */
+  constructor(message, options = {}) {
+    super(message, { code: ErrorCode.OUTPUT_VALIDATION });
+    this.name = 'OutputValidationError';
+    this.errors = options.errors || [];
+    this.content = options.content;
+  }
+}
+
+/**
+ * Error returned by an MCP server, or raised when the connection to it is lost
+ */
+export class McpError extends AgentError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {number} [options.rpcCode] - JSON-RPC error code
+   * @param {any} [options.data] - Additional error data from the server
+   */
+  constructor(message, options = {}) {
+    super(message, { code: ErrorCode.MCP_ERROR });
+    this.name = 'McpError';
+    this.rpcCode = options.rpcCode;
+    this.data = options.data;
+  }
+}
+
+/**
+ * Error raised when a replayed LLM request or tool call does not match the cassette
+ */
+export class CassetteMismatchError extends AgentError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {number} [options.index] - Index of the interaction in the cassette
+   * @param {any} [options.expected] - Recorded request
+   * @param {any} [options.actual] - Request made during the replay
+   */
+  constructor(message, options = {}) {
+    super(message, { code: ErrorCode.CASSETTE_MISMATCH });
+    this.name = 'CassetteMismatchError';
+    this.index = options.index;
+    this.expected = options.expected;
+    this.actual = options.actual;
+  }
+}
+
+/**
+ * Error raised when the smallest possible context is larger than the token budget
+ */
+export class ContextOverflowError extends AgentError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {number} [options.tokens] - Estimated size of the smallest context
+   * @param {number} [options.maxTokens] - Token budget of the context strategy
+   */
+  constructor(message, options = {}) {
+    super(message, { code: ErrorCode.CONTEXT_OVERFLOW });
+    this.name = 'ContextOverflowError';
+    this.tokens = options.tokens;
+    this.maxTokens = options.maxTokens;
+  }
+}
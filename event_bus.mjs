@@ -1,23 +1,52 @@
+/**
+ * Convert an event pattern with `*` wildcards into a regular expression
+ * @param {string} pattern - Event pattern, for example '*', 'tool*' or 'researcher:*'
+ * @returns {RegExp} The pattern
+ */
+function patternToRegExp(pattern) {
+  const source = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`);
+}
+
 // Event Bus implementation
 export class EventBus {
   constructor() {
     this.listeners = new Map();
+    this.patternListeners = [];
   }
 
   /**
-   * Subscribe to an event
-   * @param {string} eventName - The name of the event to subscribe to
+   * Subscribe to an event.
+   * The event name can contain `*` wildcards: '*' receives every event and
+   * 'researcher:*' every event of the researcher namespace. Callbacks are
+   * called with (data, eventName).
+   * @param {string} eventName - The name of the event to subscribe to, or a pattern with `*`
    * @param {Function} callback - The callback function to execute when the event is emitted
    * @returns {Function} A function to unsubscribe from the event
    */
   on(eventName, callback) {
+    if (eventName.includes('*')) {
+      const listener = { pattern: eventName, regex: patternToRegExp(eventName), callback };
+      this.patternListeners.push(listener);
+
+      return () => {
+        const index = this.patternListeners.indexOf(listener);
+        if (index !== -1) {
+          this.patternListeners.splice(index, 1);
+        }
+      };
+    }
+
     if (!this.listeners.has(eventName)) {
       this.listeners.set(eventName, []);
     }
-    
+
     const eventListeners = this.listeners.get(eventName);
     eventListeners.push(callback);
-    
+
     // Return unsubscribe function
     return () => {
       const index = eventListeners.indexOf(callback);
@@ -27,6 +56,30 @@ export class EventBus {
     };
   }
 
+  /**
+   * Subscribe to the next occurrence of an event only
+   * @param {string} eventName - The name of the event to subscribe to, or a pattern with `*`
+   * @param {Function} callback - The callback function to execute when the event is emitted
+   * @returns {Function} A function to unsubscribe before the event is emitted
+   */
+  once(eventName, callback) {
+    const unsubscribe = this.on(eventName, (data, name) => {
+      unsubscribe();
+      return callback(data, name);
+    });
+    return unsubscribe;
+  }
+
+  /**
+   * Count the listeners subscribed to exactly this event name. Pattern
+   * listeners such as '*' are not counted.
+   * @param {string} eventName - The name of the event
+   * @returns {number} Number of listeners
+   */
+  listenerCount(eventName) {
+    return (this.listeners.get(eventName) || []).length;
+  }
+
   /**
    * Emit an event with data
    * @param {string} eventName - The name of the event to emit
@@ -34,12 +87,15 @@ export class EventBus {
    * @returns {Array<Promise|void>} Array of promises from async callbacks or undefined values from sync callbacks
    */
   emit(eventName, data) {
-    const eventListeners = this.listeners.get(eventName);
-    if (!eventListeners || eventListeners.length === 0) {
-      return [];
-    }
-    
-    return eventListeners.map(callback => callback(data));
+    // Copy the lists so listeners can unsubscribe while the event is delivered
+    const callbacks = [
+      ...(this.listeners.get(eventName) || []),
+      ...this.patternListeners
+        .filter(listener => listener.regex.test(eventName))
+        .map(listener => listener.callback)
+    ];
+
+    return callbacks.map(callback => callback(data, eventName));
   }
 
   /**
@@ -54,11 +110,12 @@ export class EventBus {
   }
 
   /**
-   * Remove all listeners for a specific event
-   * @param {string} eventName - The name of the event to clear listeners for
+   * Remove all listeners for a specific event or pattern
+   * @param {string} eventName - The name of the event or the pattern to clear listeners for
    */
   clearListeners(eventName) {
     this.listeners.delete(eventName);
+    this.patternListeners = this.patternListeners.filter(listener => listener.pattern !== eventName);
   }
 
   /**
@@ -66,5 +123,6 @@ export class EventBus {
    */
   clearAllListeners() {
     this.listeners.clear();
+    this.patternListeners = [];
   }
 }
@@ -1,14 +1,190 @@
+import { randomUUID } from 'crypto';
 import { EventBus } from './event_bus.mjs';
-import { ConversationManager, NextAction } from './conversation_manager.mjs';
+import { ConversationManager, InjectionReason, NextAction } from './conversation_manager.mjs';
+import { ApprovalPolicy, Decision, DEFAULT_RULES } from './approval_policy.mjs';
+import { saveConversation } from './session_store.mjs';
+import { collectStream } from './llm_stream.mjs';
+import {
+  AbortError,
+  AgentError,
+  LLMError,
+  OutputValidationError,
+  ToolExecutionError,
+  ToolValidationError,
+  UnknownToolError
+} from './errors.mjs';
+import { abortAfter, linkSignals, raceWithSignal } from './cancellation.mjs';
+import { runWithConcurrency } from './concurrency.mjs';
+import { normalizeToolResult } from './tool.mjs';
+import { assertLLMProvider, ResponseType } from './llm_provider.mjs';
+import { estimateTotalTokens, renderTranscript } from './context_window.mjs';
+import { MiddlewarePipeline } from './middleware.mjs';
+import { isRetryableError, withRetry } from './retry.mjs';
+import { ToolCache, toolCallKey } from './tool_cache.mjs';
+import { ArtifactStore, createReadArtifactTool, limitToolResult } from './artifact_store.mjs';
+import { buildOutputInstruction, buildOutputRetryMessage, parseStructuredOutput } from './structured_output.mjs';
+import { exportTranscript } from './transcript.mjs';
+
+export { EventBus } from './event_bus.mjs';
+export { Tool, createTool, normalizeToolResult } from './tool.mjs';
+export { validateSchema, formatSchemaErrors } from './schema_validator.mjs';
+export { ApprovalPolicy, Decision } from './approval_policy.mjs';
+export { saveConversation, loadConversation } from './session_store.mjs';
+export { StreamChunkType } from './llm_stream.mjs';
+export {
+  ErrorCode,
+  AgentError,
+  AbortError,
+  LLMError,
+  ToolValidationError,
+  ToolExecutionError,
+  UnknownToolError,
+  OutputValidationError,
+  McpError,
+  CassetteMismatchError,
+  ContextOverflowError
+} from './errors.mjs';
+export { isRetryableError, DEFAULT_RETRY_OPTIONS } from './retry.mjs';
+export { ResponseType, toToolSpecs } from './llm_provider.mjs';
+export * from './message_format.mjs';
+export { createAnthropicLLM, createOpenAILLM, createOllamaLLM } from './providers.mjs';
+export { createMockLLM } from './mock_llm.mjs';
+export { estimateTokens, estimateTotalTokens } from './context_window.mjs';
+export { createAgentTool } from './sub_agent.mjs';
+export { MiddlewarePipeline, MiddlewareHook } from './middleware.mjs';
+export { ArtifactStore, createReadArtifactTool } from './artifact_store.mjs';
+export {
+  createCoreTools,
+  createFsReadTool,
+  createFsWriteTool,
+  createFsListTool,
+  createGrepTool,
+  createExecuteBashTool,
+  isCommandAllowed,
+  Workspace
+} from './core_tools.mjs';
+export { createUnifiedDiff } from './diff.mjs';
+export { Cassette, CassetteMode, normalizeRequest } from './cassette.mjs';
+export {
+  TranscriptFormat,
+  exportTranscript,
+  exportMarkdown,
+  exportHtml,
+  exportJsonl,
+  parseTranscriptJsonl,
+  replayTranscript
+} from './transcript.mjs';
+export {
+  Tracer,
+  Span,
+  SpanStatus,
+  Metrics,
+  JsonFileExporter,
+  OtlpHttpExporter,
+  toOtlpTraces,
+  toOtlpMetrics
+} from './tracing.mjs';
+export { ToolCache, MemoryCacheBackend, FileCacheBackend, toolCallKey } from './tool_cache.mjs';
+export { McpClient, McpTool, StdioTransport, SseTransport, connectMcpServer, createMcpTools } from './mcp_client.mjs';
+
+/**
+ * Event names for each handler key accepted by agent.on()
+ */
+export const HANDLER_EVENTS = {
+  // Core events from requirements
+  start: 'start',
+  end: 'end',
+  toolStart: 'toolStart',
+  toolConfirmation: 'toolConfirmation',
+  toolDenied: 'toolDenied',
+  toolEnd: 'toolEnd',
+  userSent: 'userSent',
+  assistantReceive: 'assistantReceive',
+  assistantDelta: 'assistantDelta',
+  toolInputDelta: 'toolInputDelta',
+
+  // Lifecycle events
+  turnStart: 'turnStart',
+  turnEnd: 'turnEnd',
+  llmRequest: 'llmRequest',
+  llmResponse: 'llmResponse',
+  messageAdded: 'messageAdded',
+  messagesRemoved: 'messagesRemoved',
+
+  // Additional events
+  error: 'error',
+  fileNewContent: 'file:newContentSuggestion',
+  fileUpdateContent: 'file:updateContentSuggestion',
+  tokenUsage: 'llm:tokenUsage',
+  branchChanged: 'branchChanged',
+  contextSummarized: 'contextSummarized',
+  limitReached: 'limitReached',
+  aborted: 'aborted',
+  subAgent: 'subAgent',
+  outputInvalid: 'outputInvalid',
+  retry: 'retry',
+  invalidToolCall: 'invalidToolCall',
+  systemClosed: 'system:closed'
+};
+
+/**
+ * Reasons why a tool call from the model is rejected before execution
+ */
+export const InvalidToolCallReason = {
+  UNKNOWN_TOOL: 'unknownTool',
+  MALFORMED_INPUT: 'malformedInput',
+  DUPLICATE_ID: 'duplicateId'
+};
+
+/**
+ * Describe why a tool input is not a JSON object
+ * @param {any} input - Tool input from the model
+ * @returns {string} The reason
+ */
+function describeMalformedInput(input) {
+  if (typeof input === 'string') {
+    try {
+      JSON.parse(input);
+    } catch (error) {
+      return `it is not valid JSON (${error.message})`;
+    }
+  }
+  const type = input === null ? 'null' : Array.isArray(input) ? 'an array' : `a ${typeof input}`;
+  return `it is ${type} instead of a JSON object`;
+}
 
 /**
  * Factory function that creates an agent to manage conversations with an LLM
  * @param {Object} config - Configuration object
  * @param {string} config.system - System message for the conversation
  * @param {Array<string>} [config.messages] - Initial messages for the conversation
- * @param {Object} config.llm - LLM service instance
+ * @param {Object} [config.history] - Serialized conversation to resume, replaces system and messages
+ * @param {Object} config.llm - LLM service implementing the LLMProvider interface, used only for model calls
+ * @param {Array<Object>} [config.fallbackLLMs] - LLM services tried in order when config.llm keeps failing with retryable errors
+ * @param {Object} [config.retry] - Retry settings for LLM calls, see DEFAULT_RETRY_OPTIONS
+ * @param {number} [config.retry.maxRetries=3] - Retries per model after the first attempt
+ * @param {number} [config.retry.initialDelay=1000] - Delay before the first retry in milliseconds
+ * @param {number} [config.retry.maxDelay=30000] - Maximum delay between retries in milliseconds
+ * @param {number} [config.retry.factor=2] - Multiplier of the delay after each retry
+ * @param {Function} [config.retry.isRetryable] - Decide whether an error is retryable, defaults to isRetryableError
  * @param {Array} [config.tools] - Array of tool instances
  * @param {boolean} [config.acceptAll=false] - Whether to accept all tool executions without confirmation
+ * @param {ApprovalPolicy|Object} [config.approvalPolicy] - Approval policy instance or ApprovalPolicy config
+ * @param {boolean} [config.stream=false] - Whether to stream responses with llm.invokeModelStream when available
+ * @param {number} [config.toolTimeout] - Default maximum execution time of a tool in milliseconds
+ * @param {number} [config.toolConcurrency=4] - Maximum number of concurrency-safe tools running in parallel
+ * @param {number} [config.turnTimeout] - Maximum time in milliseconds for one turn: an LLM call and the tools it requests
+ * @param {Object} [config.context] - Context strategy for long conversations, see ConversationManager
+ * @param {Object} [config.limits] - Guardrails for one run, resume or confirmation
+ * @param {number} [config.limits.maxLLMCalls] - Maximum number of LLM invocations
+ * @param {number} [config.limits.maxToolCalls] - Maximum number of tool executions
+ * @param {number} [config.limits.maxTokens] - Maximum cumulative tokens reported by the LLM
+ * @param {number} [config.limits.maxDuration] - Maximum wall-clock time in milliseconds
+ * @param {Array<Object>} [config.middleware] - Middleware run around LLM and tool calls, see MiddlewarePipeline
+ * @param {number} [config.maxToolResultSize] - Size in characters above which tool results are truncated and stored as artifacts
+ * @param {ArtifactStore|Object} [config.artifactStore] - Artifact store instance or ArtifactStore options
+ * @param {ToolCache|Object} [config.toolCache] - Cache of results of tools that opt in, ToolCache instance or options
+ * @param {Tracer} [config.tracer] - Tracer that records runs, LLM calls and tool executions as spans and metrics
  * @returns {Object} Agent object with public methods
  */
 export function createAgent(config) {
@@ -16,17 +192,72 @@ export function createAgent(config) {
   const system = config.system;
   const initialMessages = config.messages || [];
   const llm = config.llm;
-  const tools = config.tools || [];
+  const fallbackLLMs = config.fallbackLLMs || [];
+  const retryOptions = config.retry || {};
+  const tools = [...(config.tools || [])];
   const acceptAll = config.acceptAll || false;
+  const stream = config.stream || false;
+  const toolTimeout = config.toolTimeout;
+  const toolConcurrency = config.toolConcurrency || 4;
+  const turnTimeout = config.turnTimeout;
+  const limits = config.limits || {};
+  const maxToolResultSize = config.maxToolResultSize;
+  const artifactStore = config.artifactStore instanceof ArtifactStore
+    ? config.artifactStore
+    : new ArtifactStore(config.artifactStore);
+  const toolCache = config.toolCache instanceof ToolCache
+    ? config.toolCache
+    : new ToolCache(config.toolCache);
+  const approvalPolicy = config.approvalPolicy instanceof ApprovalPolicy
+    ? config.approvalPolicy
+    : new ApprovalPolicy(config.approvalPolicy || { rules: DEFAULT_RULES });
+  
+  const middlewarePipeline = new MiddlewarePipeline(config.middleware);
   
   const eventBus = new EventBus();
-  const conversation = new ConversationManager();
+  const conversation = new ConversationManager({
+    context: config.context,
+    onMessageAdded: message => eventBus.emit('messageAdded', {
+      timestamp: Date.now(),
+      message
+    }),
+    onMessagesRemoved: (messages, reason) => eventBus.emit('messagesRemoved', {
+      timestamp: Date.now(),
+      reason,
+      messages
+    })
+  });
+  
+  // State of the run in progress, if any
+  let activeRun = null;
+  
+  // Tool use IDs of tools currently executing
+  const runningTools = new Set();
+
+  // Output schema of a run() that waits for its final answer, kept across tool confirmations
+  let pendingOutput = null;
+  
+  // Let the model read truncated tool results when results can be truncated
+  const truncatesResults = maxToolResultSize !== undefined ||
+    tools.some(tool => tool.getMaxResultSize?.() !== undefined);
+  if (truncatesResults && !tools.some(tool => tool.getName() === 'read_artifact')) {
+    tools.push(createReadArtifactTool(artifactStore, { pageSize: maxToolResultSize }));
+  }
   
   // Register tools with LLM service
-  llm.registerTools(tools);
+  for (const service of [llm, ...fallbackLLMs]) {
+    assertLLMProvider(service);
+    service.registerTools(tools);
+  }
   
   // Initialize the agent
   function initialize() {
+    // Resume a saved conversation if provided
+    if (config.history) {
+      conversation.load(config.history);
+      return;
+    }
+
     // Add system message
     conversation.addSystemMessage(system);
 
@@ -40,128 +271,850 @@ export function createAgent(config) {
   initialize();
   
   /**
-   * Process the conversation based on the current state
+   * Run work with a cancellable run context, unless a run is already in progress.
+   * When the run is aborted or times out, pending tool requests get cancelled
+   * tool results so the conversation stays valid for the next turn.
+   * @param {Object} options - Run options
+   * @param {AbortSignal} [options.signal] - Signal that aborts the run
+   * @param {Function} work - Async function to run
+   * @returns {Promise<void>}
+   */
+  async function withRun(options, work) {
+    if (activeRun) {
+      // Nested calls, such as a confirmation answered from an event handler,
+      // share the run in progress, which waits for them before finishing
+      const nested = work();
+      activeRun.nested.add(nested);
+      return await nested;
+    }
+
+    const { controller, dispose } = linkSignals(options.signal);
+    const run = {
+      id: randomUUID(),
+      signal: controller.signal,
+      controller,
+      startedAt: Date.now(),
+      turn: 0,
+      turnOpen: false,
+      cancelTurnTimeout: () => {},
+      llmCalls: 0,
+      toolCalls: 0,
+      tokens: 0,
+      limitReached: null,
+      processing: false,
+      nested: new Set()
+    };
+    activeRun = run;
+    // Work before the first LLM call, such as a confirmed tool, counts as a turn too
+    armTurnTimeout(run);
+    eventBus.emit('start', {
+      timestamp: run.startedAt,
+      runId: run.id
+    });
+
+    run.done = (async () => {
+      try {
+        await work();
+        await settleNested(run);
+      } catch (error) {
+        if (!run.signal.aborted) {
+          throw error;
+        }
+      } finally {
+        run.cancelTurnTimeout();
+        dispose();
+        endTurn(run);
+        activeRun = null;
+        if (run.signal.aborted) {
+          cancelPendingTools('Tool use was cancelled because the run was aborted.');
+          eventBus.emit('aborted', {
+            timestamp: Date.now(),
+            reason: run.signal.reason.message,
+            timeout: Boolean(run.signal.reason.timeout)
+          });
+        } else if (run.limitReached) {
+          cancelPendingTools(`Tool use was skipped because the run reached its ${run.limitReached} limit.`);
+        }
+        eventBus.emit('end', {
+          timestamp: Date.now(),
+          runId: run.id,
+          duration: Date.now() - run.startedAt,
+          turns: run.turn,
+          llmCalls: run.llmCalls,
+          toolCalls: run.toolCalls,
+          tokens: run.tokens,
+          aborted: run.signal.aborted,
+          limitReached: run.limitReached
+        });
+      }
+    })();
+
+    await run.done;
+  }
+
+  /**
+   * Start the next turn of a run: one LLM call and the tool calls it requests
+   * @param {Object} run - Run context
+   */
+  function startTurn(run) {
+    endTurn(run);
+    armTurnTimeout(run);
+    run.turn++;
+    run.turnOpen = true;
+    eventBus.emit('turnStart', {
+      timestamp: Date.now(),
+      runId: run.id,
+      turn: run.turn
+    });
+  }
+
+  /**
+   * Restart the turn timeout of a run, which aborts the run when a turn takes too long
+   * @param {Object} run - Run context
+   */
+  function armTurnTimeout(run) {
+    run.cancelTurnTimeout();
+    run.cancelTurnTimeout = abortAfter(run.controller, turnTimeout, `Turn timed out after ${turnTimeout}ms`);
+  }
+
+  /**
+   * End the current turn of a run, if one is open
+   * @param {Object} run - Run context
+   */
+  function endTurn(run) {
+    if (!run.turnOpen) return;
+    run.turnOpen = false;
+    eventBus.emit('turnEnd', {
+      timestamp: Date.now(),
+      runId: run.id,
+      turn: run.turn
+    });
+  }
+
+  /**
+   * Wait for the nested calls of a run, including the ones they start
+   * @param {Object} run - Run context
+   * @returns {Promise<void>}
+   */
+  async function settleNested(run) {
+    while (run.nested.size > 0) {
+      const nested = [...run.nested];
+      run.nested.clear();
+      await Promise.allSettled(nested);
+    }
+  }
+
+  /**
+   * Process the conversation until the model gives an answer that matches the
+   * output schema, sending validation errors back for up to maxRetries attempts.
+   * Attempts are counted on the pending output, so a run that continues after
+   * a tool confirmation keeps counting.
+   * @param {Object} output - Pending output { schema, maxRetries, attempt }
+   * @returns {Promise<Object>} { paused: true } while tool calls wait for confirmation,
+   * otherwise { ok: true, value } or { ok: false, error, errors, content }
+   */
+  async function processStructuredOutput(output) {
+    for (;;) {
+      await processConversation();
+      await settleNested(activeRun);
+
+      if (!isAborted() && !isLimitReached() &&
+          conversation.getNextAction() === NextAction.WAIT_FOR_TOOL_CONFIRMATION) {
+        return { paused: true };
+      }
+
+      const answer = conversation.getLastMessage();
+      if (!answer || answer.type !== 'assistant') {
+        return {
+          ok: false,
+          error: 'The run stopped before the model gave a final answer',
+          errors: []
+        };
+      }
+
+      const result = parseStructuredOutput(output.schema, answer.content);
+      if (result.ok) {
+        return result;
+      }
+
+      output.attempt++;
+      eventBus.emit('outputInvalid', {
+        timestamp: Date.now(),
+        attempt: output.attempt,
+        error: result.error,
+        content: answer.content
+      });
+
+      if (output.attempt > output.maxRetries || isAborted() || isLimitReached()) {
+        return { ...result, content: answer.content };
+      }
+      conversation.addUserMessage(buildOutputRetryMessage(result.error), { injected: InjectionReason.OUTPUT_RETRY });
+    }
+  }
+
+  /**
+   * Continue the pending structured output of a run() and settle it once the
+   * model gave its final answer. Does nothing while tool calls wait for confirmation.
+   * @returns {Promise<void>}
+   */
+  async function continueStructuredOutput() {
+    const output = pendingOutput;
+    // A confirmation answered during the run is continued by the run itself
+    if (!output || output.processing) return;
+
+    let result;
+    output.processing = true;
+    try {
+      result = await processStructuredOutput(output);
+    } catch (error) {
+      settleOutput(output, { error });
+      throw error;
+    } finally {
+      output.processing = false;
+    }
+    if (!result.paused) {
+      settleOutput(output, { result });
+    }
+  }
+
+  /**
+   * Settle a pending structured output, once
+   * @param {Object} output - Pending output
+   * @param {Object} outcome - { result } or { error }
+   */
+  function settleOutput(output, outcome) {
+    if (pendingOutput === output) {
+      pendingOutput = null;
+    }
+    output.settle(outcome);
+  }
+
+  /**
+   * Settle the pending structured output, if any, without a valid answer
+   * @param {string} error - Why no answer will be given
+   */
+  function abandonOutput(error) {
+    if (pendingOutput) {
+      settleOutput(pendingOutput, { result: { ok: false, error, errors: [] } });
+    }
+  }
+
+  /**
+   * Build the instruction for the pending output schema. It is sent with
+   * every LLM call of the output but never stored in the conversation.
+   * @returns {Object|null} A system message, or null without a pending output
+   */
+  function outputInstructionMessage() {
+    if (!pendingOutput) return null;
+    return {
+      id: 'output-instruction',
+      timestamp: new Date(),
+      type: 'system',
+      bedrockType: 'system',
+      content: buildOutputInstruction(pendingOutput.schema)
+    };
+  }
+
+  /**
+   * Check whether the run in progress has been aborted
+   * @returns {boolean} Whether the run was aborted
+   */
+  function isAborted() {
+    return Boolean(activeRun && activeRun.signal.aborted);
+  }
+
+  /**
+   * Check whether the run in progress has been stopped by a limit
+   * @returns {boolean} Whether a limit was reached
+   */
+  function isLimitReached() {
+    return Boolean(activeRun && activeRun.limitReached);
+  }
+
+  /**
+   * Stop the run in progress if a limit is reached
+   * @param {string} limit - Name of the limit in config.limits
+   * @param {number} value - Current value for the run
+   * @returns {boolean} Whether the limit was reached
+   */
+  function checkLimit(limit, value) {
+    const max = limits[limit];
+    if (max === undefined || value < max) {
+      return false;
+    }
+
+    activeRun.limitReached = limit;
+    eventBus.emit('limitReached', {
+      timestamp: Date.now(),
+      limit,
+      value,
+      max
+    });
+    return true;
+  }
+
+  /**
+   * Write error results for every tool request without a result
+   * @param {string} error - Error message for the tool results
+   */
+  function cancelPendingTools(error) {
+    for (const toolRequest of conversation.getPendingToolRequests()) {
+      conversation.setAwaitingConfirmation(toolRequest.toolUseId, false);
+      conversation.addToolResultMessage(
+        toolRequest.toolUseId,
+        { error },
+        error
+      );
+    }
+  }
+
+  /**
+   * Throw if a run is in progress, used before rewriting the conversation
+   */
+  function assertIdle() {
+    if (activeRun) {
+      throw new Error('Cannot change the conversation while a run is in progress');
+    }
+  }
+
+  /**
+   * Emit a branchChanged event for the current branch
+   */
+  function emitBranchChanged() {
+    eventBus.emit('branchChanged', {
+      timestamp: Date.now(),
+      branch: conversation.currentBranch
+    });
+  }
+
+  /**
+   * Get the content of the last assistant message
+   * @returns {string} The last assistant message, or an empty string
+   */
+  function lastAssistantContent() {
+    const assistantMessages = conversation.getMessagesByType('assistant');
+    return assistantMessages.length > 0 ? assistantMessages[assistantMessages.length - 1].content : '';
+  }
+
+  /**
+   * Process the conversation until it waits for user input or confirmation.
+   * Only one loop runs at a time: a nested call returns immediately and the
+   * running loop picks up the new state on its next step.
    * @returns {Promise<void>}
    */
   async function processConversation() {
+    if (activeRun.processing) return;
+    activeRun.processing = true;
+
+    try {
+      while (await processNextStep()) {
+        // Keep going until the conversation waits
+      }
+    } finally {
+      activeRun.processing = false;
+    }
+  }
+
+  /**
+   * Take the next action based on the current state
+   * @returns {Promise<boolean>} Whether processing should continue
+   */
+  async function processNextStep() {
+    if (isAborted() || isLimitReached()) return false;
+    if (checkLimit('maxDuration', Date.now() - activeRun.startedAt)) return false;
+    if (checkLimit('maxTokens', activeRun.tokens)) return false;
+
     const nextAction = conversation.getNextAction();
     
     switch (nextAction) {
       case NextAction.SEND_USER_INPUT_TO_LLM:
       case NextAction.SEND_TOOL_RESULT_TO_LLM:
-        await sendToLLM();
-        break;
+        return await sendToLLM();
       
       case NextAction.EXECUTE_LOCAL_TOOL:
-        await executeNextTool();
-        break;
+        return await executeNextTool();
       
       case NextAction.WAIT_FOR_LOCAL_USER_INPUT:
         // Nothing to do, waiting for user input
-        break;
+        return false;
+
+      case NextAction.WAIT_FOR_TOOL_CONFIRMATION:
+        // Nothing to do, waiting for handleToolConfirmation
+        return false;
     }
+    return false;
   }
 
   /**
    * Send the current conversation to the LLM
-   * @returns {Promise<void>}
+   * @returns {Promise<boolean>} Whether processing should continue
    */
   async function sendToLLM() {
+    if (checkLimit('maxLLMCalls', activeRun.llmCalls)) return false;
+    activeRun.llmCalls++;
+    startTurn(activeRun);
+
     try {
-      const messages = conversation.getAllMessages();
-      const response = await llm.invokeModel(messages);
+      const hookContext = { signal: activeRun.signal };
+      const messages = await middlewarePipeline.beforeLLM(
+        withOutputInstruction(await conversation.getContextMessages({ summarize: summarizeMessages })),
+        hookContext
+      );
+      const requestedAt = Date.now();
+      eventBus.emit('llmRequest', {
+        timestamp: requestedAt,
+        runId: activeRun.id,
+        turn: activeRun.turn,
+        messages
+      });
+      const response = await middlewarePipeline.afterLLM(messages, await invokeLLM(messages), hookContext);
+      eventBus.emit('llmResponse', {
+        timestamp: Date.now(),
+        runId: activeRun.id,
+        turn: activeRun.turn,
+        response,
+        duration: Date.now() - requestedAt
+      });
+      activeRun.tokens += response.totalTokens || 0;
       eventBus.emit('llm:tokenUsage', response.totalTokens)
 
-      if (response.type === 'ASSISTANT_TOOL_REQUEST') {
+      if (response.type === ResponseType.ASSISTANT_TOOL_REQUEST) {
         await validateAndProcessTools(response.toolCalls || []);
       } else {
-        conversation.addAssistantMessage(response.content);
+        const messageId = conversation.addAssistantMessage(response.content);
         
         eventBus.emit('assistantReceive', {
           timestamp: Date.now(),
-          messageId: Date.now().toString(),
+          messageId,
           content: response.content
         });
       }
       
-      // Continue processing if needed
-      await processConversation();
+      return true;
     } catch (error) {
-      console.error('Error in sendToLLM:', error);
-      
-      eventBus.emit('error', {
-        timestamp: Date.now(),
-        error: error.message
+      if (isAborted()) return false;
+
+      const failure = error instanceof AgentError ? error : new AgentError(error.message, { cause: error });
+      emitError(failure);
+      throw failure;
+    }
+  }
+
+  /**
+   * Add the instruction of the pending output schema after the leading system messages
+   * @param {Array} messages - Context messages
+   * @returns {Array} The messages to send
+   */
+  function withOutputInstruction(messages) {
+    const instruction = outputInstructionMessage();
+    if (!instruction) return messages;
+
+    const index = messages.findIndex(message => message.type !== 'system');
+    const at = index === -1 ? messages.length : index;
+    return [...messages.slice(0, at), instruction, ...messages.slice(at)];
+  }
+
+  /**
+   * Summarize older messages with the LLM so they can be replaced in the context
+   * @param {Array} messages - Messages to summarize
+   * @returns {Promise<string|null>} The summary, or null when maxLLMCalls leaves no call for it
+   */
+  async function summarizeMessages(messages) {
+    if (activeRun) {
+      // The summary request counts toward maxLLMCalls like any other LLM call
+      if (limits.maxLLMCalls !== undefined && activeRun.llmCalls >= limits.maxLLMCalls) {
+        return null;
+      }
+      activeRun.llmCalls++;
+    }
+
+    const request = new ConversationManager();
+    request.addSystemMessage(
+      'You summarize conversations between a user and an AI assistant that uses tools. ' +
+      'Keep every fact, decision, file name, open task and tool outcome needed to continue the work. ' +
+      'Answer with the summary only.'
+    );
+    request.addUserMessage(renderTranscript(messages));
+
+    const response = await callLLM((service, signal) => service.invokeModel(request.getAllMessages(), { signal }));
+    if (activeRun) {
+      activeRun.tokens += response.totalTokens || 0;
+    }
+
+    const summary = `Summary of the earlier conversation:\n${response.content}`;
+    eventBus.emit('contextSummarized', {
+      timestamp: Date.now(),
+      summarizedMessages: messages.length,
+      tokensBefore: estimateTotalTokens(messages),
+      tokensAfter: estimateTotalTokens([{ content: summary }])
+    });
+    return summary;
+  }
+
+  /**
+   * Invoke the LLM, streaming the response when enabled
+   * @param {Array} messages - Conversation messages
+   * @returns {Promise<Object>} The complete LLM response
+   */
+  async function invokeLLM(messages) {
+    return await callLLM((service, signal) => {
+      if (!stream || typeof service.invokeModelStream !== 'function') {
+        return service.invokeModel(messages, { signal });
+      }
+      return streamLLM(service, messages, signal);
+    });
+  }
+
+  /**
+   * Call the LLM, then each fallback LLM in order, until one succeeds.
+   * Retryable errors are retried with backoff before moving on to the next
+   * model. Fatal errors end the call immediately.
+   * @param {Function} call - Function called with (llmService, signal) that returns a promise of the response
+   * @returns {Promise<Object>} The LLM response
+   * @throws {LLMError} If the error was fatal or every model failed
+   */
+  async function callLLM(call) {
+    const signal = activeRun?.signal;
+    const services = [llm, ...fallbackLLMs];
+    let attempts = 0;
+
+    for (let index = 0; index < services.length; index++) {
+      try {
+        return await withRetry(() => {
+          attempts++;
+          return raceWithSignal(Promise.resolve().then(() => call(services[index], signal)), signal);
+        }, {
+          ...retryOptions,
+          signal,
+          // Output that was already streamed cannot be taken back, so such calls are not repeated
+          isRetryable: error => !error?.streamStarted && (retryOptions.isRetryable || isRetryableError)(error),
+          onRetry: ({ delay, error }) => emitRetry(attempts, delay, error, index)
+        });
+      } catch (error) {
+        if (signal?.aborted) throw error;
+
+        if (!error.retryable || index === services.length - 1) {
+          throw new LLMError(
+            `LLM invocation failed after ${attempts} attempt${attempts === 1 ? '' : 's'}: ${error.message}`,
+            { cause: error, retryable: error.retryable, attempts }
+          );
+        }
+        emitRetry(attempts, 0, error, index + 1);
+      }
+    }
+  }
+
+  /**
+   * Emit a retry event before the next attempt of an LLM call
+   * @param {number} attempt - Number of the failed attempt over all models
+   * @param {number} delay - Delay before the next attempt in milliseconds
+   * @param {Error} error - Error of the failed attempt
+   * @param {number} model - Index of the model used next, 0 for config.llm and 1 or more for fallbackLLMs
+   */
+  function emitRetry(attempt, delay, error, model) {
+    eventBus.emit('retry', {
+      timestamp: Date.now(),
+      attempt,
+      delay,
+      error: error.message,
+      model
+    });
+  }
+
+  /**
+   * Invoke an LLM in streaming mode and emit deltas as they arrive.
+   * An error after the first delta is marked with streamStarted, so the
+   * call is neither retried nor sent to a fallback model.
+   * @param {Object} service - LLM service
+   * @param {Array} messages - Conversation messages
+   * @param {AbortSignal} [signal] - Signal that aborts the call
+   * @returns {Promise<Object>} The complete LLM response
+   */
+  async function streamLLM(service, messages, signal) {
+    let streamStarted = false;
+    try {
+      return await collectStream(await service.invokeModelStream(messages, { signal }), {
+        onTextDelta: (delta, content) => {
+          streamStarted = true;
+          eventBus.emit('assistantDelta', {
+            timestamp: Date.now(),
+            delta,
+            content
+          });
+        },
+        onToolInputDelta: ({ toolUseId, name, delta }) => {
+          streamStarted = true;
+          eventBus.emit('toolInputDelta', {
+            timestamp: Date.now(),
+            toolUseId,
+            toolName: name,
+            delta
+          });
+        }
       });
+    } catch (error) {
+      if (streamStarted && error && typeof error === 'object') {
+        error.streamStarted = true;
+      }
+      throw error;
     }
   }
 
   /**
-   * Validate and process tool calls
+   * Validate and process all tool calls from one model response as a batch.
+   * Every call is recorded first, then validated and checked by the approval
+   * policy. Confirmations are requested together and allowed calls are executed.
    * @param {Array} toolCalls - Array of tool calls
    * @returns {Promise<void>}
    */
   async function validateAndProcessTools(toolCalls) {
-    for (const toolCall of toolCalls) {
-      const tool = tools.find(x => x.getName() === toolCall.name);
-      if (!tool) continue;
+    const batch = [];
+    const seenIds = new Set();
+    const responseId = randomUUID();
+
+    for (const modelCall of toolCalls) {
+      const { toolCall, problem } = inspectToolCall(modelCall, seenIds);
+      seenIds.add(toolCall.toolUseId);
 
       conversation.addToolRequestMessage(
         toolCall.name,
         toolCall.toolUseId,
-        toolCall.input
+        toolCall.input,
+        responseId
       );
 
-      if (!tool.validate(toolCall.input).ok) {
-        const error = tool.validate(toolCall.input).error;
-        emitToolError(toolCall, error);
+      if (problem) {
+        rejectToolCall(toolCall, problem);
+      } else {
+        batch.push({ toolCall, tool: findTool(toolCall.name) });
+      }
+    }
+
+    const approved = [];
+    const needsConfirmation = [];
+
+    for (const { toolCall, tool } of batch) {
+      const validation = tool.validate(toolCall.input);
+      if (!validation.ok) {
+        emitError(new ToolValidationError(validation.error, {
+          toolName: toolCall.name,
+          toolUseId: toolCall.toolUseId,
+          errors: validation.errors
+        }));
         conversation.addToolResultMessage(
           toolCall.toolUseId,
-          { error },
-          error
+          { error: validation.error },
+          validation.error
         );
-        return;
+        continue;
       }
 
-      if (!acceptAll && needsConfirmation(toolCall, tool)) {
-        requestConfirmation(toolCall);
-        return;
+      const decision = evaluateApproval(toolCall, tool);
+
+      if (decision === Decision.DENY) {
+        denyTool(toolCall);
+        continue;
       }
 
-      await executeValidatedTool(toolCall.toolUseId);
+      const preview = await previewTool(toolCall, tool);
+      if (decision === Decision.ASK) {
+        needsConfirmation.push({ ...toolCall, preview });
+      } else {
+        approved.push(toolCall.toolUseId);
+      }
     }
+
+    for (const toolCall of needsConfirmation) {
+      requestConfirmation(toolCall);
+    }
+
+    await executeToolBatch(approved);
   }
 
   /**
-   * Execute the next tool in the conversation
-   * @returns {Promise<void>}
+   * Check a tool call from the model before it is recorded. Invalid calls are
+   * still recorded so they can get an error result: duplicate or missing IDs
+   * are replaced with new ones and malformed inputs with an empty object.
+   * @param {Object} modelCall - Tool call from the LLM response
+   * @param {Set<string>} seenIds - Tool use IDs of the response recorded so far
+   * @returns {Object} { toolCall, problem } where problem is { reason, error } for an invalid call
+   */
+  function inspectToolCall(modelCall, seenIds) {
+    const toolCall = { ...modelCall, name: String(modelCall.name ?? '') };
+    const context = { toolName: toolCall.name, toolUseId: modelCall.toolUseId };
+
+    if (typeof toolCall.toolUseId !== 'string' || toolCall.toolUseId === '') {
+      toolCall.toolUseId = `tooluse-${randomUUID()}`;
+    } else if (seenIds.has(toolCall.toolUseId) || conversation.getToolRequest(toolCall.toolUseId)) {
+      toolCall.toolUseId = `tooluse-${randomUUID()}`;
+      return {
+        toolCall,
+        problem: {
+          reason: InvalidToolCallReason.DUPLICATE_ID,
+          error: new ToolValidationError(
+            `The tool use ID ${modelCall.toolUseId} was already used, so this call of ${toolCall.name} was not executed. ` +
+            'Call the tool again if it is still needed.',
+            { ...context, toolUseId: toolCall.toolUseId }
+          )
+        }
+      };
+    }
+    context.toolUseId = toolCall.toolUseId;
+
+    if (!findTool(toolCall.name)) {
+      const availableTools = tools.map(x => x.getName());
+      return {
+        toolCall: { ...toolCall, input: isPlainObject(toolCall.input) ? toolCall.input : {} },
+        problem: {
+          reason: InvalidToolCallReason.UNKNOWN_TOOL,
+          error: new UnknownToolError(
+            `There is no tool named "${toolCall.name}". Available tools: ${availableTools.join(', ') || 'none'}.`,
+            { ...context, availableTools }
+          )
+        }
+      };
+    }
+
+    if (!isPlainObject(toolCall.input)) {
+      const reason = describeMalformedInput(toolCall.input);
+      return {
+        toolCall: { ...toolCall, input: {} },
+        problem: {
+          reason: InvalidToolCallReason.MALFORMED_INPUT,
+          error: new ToolValidationError(
+            `The input of ${toolCall.name} was rejected because ${reason}. ` +
+            'Call the tool again with a JSON object that matches its parameters.',
+            context
+          )
+        }
+      };
+    }
+
+    return { toolCall, problem: null };
+  }
+
+  /**
+   * Check whether a value is a JSON object
+   * @param {any} value - Value to check
+   * @returns {boolean} Whether the value is a non-null, non-array object
+   */
+  function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+  }
+
+  /**
+   * Record an error result for a tool call that failed inspectToolCall
+   * @param {Object} toolCall - The recorded tool call
+   * @param {Object} problem - { reason, error }
+   */
+  function rejectToolCall(toolCall, problem) {
+    const { reason, error } = problem;
+
+    eventBus.emit('invalidToolCall', {
+      timestamp: Date.now(),
+      reason,
+      toolUseId: toolCall.toolUseId,
+      toolName: toolCall.name,
+      error: error.message
+    });
+    emitError(error);
+
+    const content = reason === InvalidToolCallReason.UNKNOWN_TOOL
+      ? { error: error.message, availableTools: error.availableTools }
+      : { error: error.message };
+    conversation.addToolResultMessage(toolCall.toolUseId, content, error.message);
+  }
+
+  /**
+   * Execute the pending tool requests that are neither running nor waiting for confirmation
+   * @returns {Promise<boolean>} Whether any tool was executed
    */
   async function executeNextTool() {
-    const messages = conversation.getAllMessages();
-    const toolRequest = messages.find(msg => 
-      msg.type === 'tool-request' && 
-      !messages.some(m => m.type === 'tool-result' && m.toolUseId === msg.toolUseId)
-    );
+    const toolUseIds = conversation.getPendingToolRequests()
+      .filter(msg => !msg.awaitingConfirmation && !runningTools.has(msg.toolUseId))
+      .map(msg => msg.toolUseId);
 
-    if (toolRequest) {
-      await executeValidatedTool(toolRequest.toolUseId);
+    if (toolUseIds.length === 0) {
+      return false;
     }
+
+    await executeToolBatch(toolUseIds);
+    return true;
   }
 
   /**
-   * Check if a tool call needs confirmation
+   * Execute tool requests in order. Consecutive tools that are safe to run
+   * concurrently are run in parallel, up to toolConcurrency at a time.
+   * @param {Array<string>} toolUseIds - Tool use IDs to execute
+   * @returns {Promise<void>}
+   */
+  async function executeToolBatch(toolUseIds) {
+    let group = [];
+
+    const flushGroup = async () => {
+      await runWithConcurrency(group, toolConcurrency, executeValidatedTool);
+      group = [];
+    };
+
+    for (const toolUseId of toolUseIds) {
+      const toolRequest = conversation.getToolRequest(toolUseId);
+      const tool = toolRequest && findTool(toolRequest.toolName);
+
+      if (tool?.isConcurrencySafe?.()) {
+        group.push(toolUseId);
+        continue;
+      }
+
+      await flushGroup();
+      await executeValidatedTool(toolUseId);
+    }
+
+    await flushGroup();
+  }
+
+  /**
+   * Find a registered tool by name
+   * @param {string} name - Tool name
+   * @returns {Object|undefined} The tool instance
+   */
+  function findTool(name) {
+    return tools.find(x => x.getName() === name);
+  }
+
+  /**
+   * Ask the approval policy what to do with a tool call
    * @param {Object} toolCall - Tool call object
    * @param {Object} tool - Tool instance
-   * @returns {boolean} Whether the tool call needs confirmation
+   * @returns {string} The approval decision
    */
-  function needsConfirmation(toolCall, tool) {
-    if (toolCall.name === 'execute_bash' && tool.requiresAcceptance(toolCall.input)) {
-      return true;
-    }
-    if (toolCall.name === 'fs_write') {
-      return true;
+  function evaluateApproval(toolCall, tool) {
+    const decision = approvalPolicy.evaluate(toolCall, tool);
+    if (decision === Decision.ASK && acceptAll) {
+      return Decision.ALLOW;
     }
-    return false;
+    return decision;
+  }
+
+  /**
+   * Record a tool call rejected by the approval policy
+   * @param {Object} toolCall - Tool call object
+   */
+  function denyTool(toolCall) {
+    const error = 'Tool use was denied by the approval policy.';
+
+    eventBus.emit('toolDenied', {
+      timestamp: Date.now(),
+      toolUseId: toolCall.toolUseId,
+      toolName: toolCall.name,
+      input: toolCall.input,
+      reason: error
+    });
+
+    conversation.addToolResultMessage(
+      toolCall.toolUseId,
+      { error },
+      error
+    );
   }
 
   /**
@@ -169,17 +1122,46 @@ export function createAgent(config) {
    * @param {Object} toolCall - Tool call object
    */
   function requestConfirmation(toolCall) {
+    conversation.setAwaitingConfirmation(toolCall.toolUseId, true);
+
     eventBus.emit('toolConfirmation', {
       timestamp: Date.now(),
       toolUseId: toolCall.toolUseId,
       toolName: toolCall.name,
       input: toolCall.input,
+      preview: toolCall.preview,
       dangerous: true
     });
   }
 
   /**
-   * Execute a validated tool
+   * Let a tool describe a call before it runs. A failing preview is reported
+   * as an error event and does not stop the call.
+   * @param {Object} toolCall - Tool call object
+   * @param {Object} tool - Tool instance
+   * @returns {Promise<Object|undefined>} The preview
+   */
+  async function previewTool(toolCall, tool) {
+    if (typeof tool.preview !== 'function') return undefined;
+
+    try {
+      return await tool.preview(toolCall.input, {
+        signal: activeRun?.signal,
+        toolUseId: toolCall.toolUseId,
+        emit: (eventName, data) => eventBus.emit(eventName, data)
+      });
+    } catch (error) {
+      emitError(new ToolExecutionError(`Could not preview ${toolCall.name}: ${error.message}`, {
+        toolName: toolCall.name,
+        toolUseId: toolCall.toolUseId,
+        cause: error
+      }));
+      return undefined;
+    }
+  }
+
+  /**
+   * Execute a validated tool and record its result
    * @param {string} toolUseId - Tool use ID
    * @returns {Promise<void>}
    */
@@ -190,157 +1172,574 @@ export function createAgent(config) {
       msg.toolUseId === toolUseId
     );
 
-    if (!toolRequest) return;
+    if (!toolRequest || isLimitReached() || runningTools.has(toolUseId)) return;
 
-    eventBus.emit('toolStart', {
-      timestamp: Date.now(),
-      toolUseId: toolRequest.toolUseId,
-      toolName: toolRequest.toolName,
-      input: toolRequest.content[0].toolUse.input
-    });
+    conversation.setAwaitingConfirmation(toolUseId, false);
+
+    // The call is counted before middleware runs so concurrent calls cannot
+    // exceed the limit, and given back if beforeTool denies it
+    if (checkLimit('maxToolCalls', activeRun.toolCalls)) return;
+    activeRun.toolCalls++;
+
+    const input = toolRequest.content[0].toolUse.input;
+    const tool = findTool(toolRequest.toolName);
+    const timeout = tool?.getTimeout?.() ?? toolTimeout;
+    runningTools.add(toolUseId);
+    const { controller, dispose } = linkSignals(activeRun?.signal);
+    const cancelTimeout = abortAfter(
+      controller,
+      timeout,
+      `Tool ${toolRequest.toolName} timed out after ${timeout}ms`
+    );
+
+    const startedAt = Date.now();
+    const call = { toolUseId, toolName: toolRequest.toolName, input };
+    const hookContext = { signal: controller.signal };
+    let content;
+    let cached = false;
+    let started = false;
+    let denied = false;
+
+    // toolStart carries the input after beforeTool middleware and is not emitted for denied calls
+    const emitToolStart = () => {
+      started = true;
+      eventBus.emit('toolStart', {
+        timestamp: Date.now(),
+        toolUseId,
+        toolName: toolRequest.toolName,
+        input: call.input
+      });
+    };
 
     try {
-      const result = await llm.processToolCalls([toolRequest.content[0].toolUse]);
-      
+      try {
+        if (!tool) {
+          emitToolStart();
+          throw new UnknownToolError(`Tool ${toolRequest.toolName} is not registered`, {
+            toolName: toolRequest.toolName,
+            toolUseId,
+            availableTools: tools.map(x => x.getName())
+          });
+        }
+
+        const outcome = await middlewarePipeline.beforeTool(call, hookContext);
+        call.input = outcome.input;
+
+        if (outcome.deny !== undefined) {
+          denied = true;
+          activeRun.toolCalls--;
+          eventBus.emit('toolDenied', {
+            timestamp: Date.now(),
+            toolUseId,
+            toolName: toolRequest.toolName,
+            input: call.input,
+            reason: outcome.deny
+          });
+          content = { error: outcome.deny };
+        } else if (outcome.result !== undefined) {
+          emitToolStart();
+          content = normalizeToolResult(outcome.result);
+        } else {
+          emitToolStart();
+          const cacheOptions = tool.getCacheOptions?.();
+          content = cacheOptions && await readCache(call);
+          cached = content !== undefined;
+
+          if (!cached) {
+            content = await runTool(tool, call, controller.signal);
+            if (cacheOptions && !content.error) {
+              await writeCache(call, content, cacheOptions.ttl);
+            }
+          }
+        }
+      } catch (error) {
+        if (isAborted()) return;
+
+        emitError(error instanceof UnknownToolError ? error : new ToolExecutionError(error.message, {
+          toolName: toolRequest.toolName,
+          toolUseId,
+          cause: error
+        }));
+        content = { error: error.message };
+      }
+
+      try {
+        if (!denied) {
+          content = normalizeToolResult(await middlewarePipeline.afterTool({ ...call, result: content }, hookContext));
+          content = await limitToolResult(content, tool?.getMaxResultSize?.() ?? maxToolResultSize, artifactStore);
+        }
+      } catch (error) {
+        emitError(new ToolExecutionError(error.message, {
+          toolName: toolRequest.toolName,
+          toolUseId,
+          cause: error
+        }));
+        content = { error: error.message };
+      }
+    } finally {
+      cancelTimeout();
+      dispose();
+      runningTools.delete(toolUseId);
+    }
+
+    if (isAborted()) return;
+
+    if (started) {
       eventBus.emit('toolEnd', {
         timestamp: Date.now(),
         toolUseId: toolRequest.toolUseId,
         toolName: toolRequest.toolName,
-        result: result,
-        duration: 0
+        result: content,
+        error: content.error,
+        cached,
+        duration: Date.now() - startedAt
       });
+    }
 
-      for (const res of result) {
-        const content = res.content;
-        conversation.addToolResultMessage(
-          res.toolUseId,
-          res.content,
-          content.error
-        );
+    conversation.addToolResultMessage(
+      toolRequest.toolUseId,
+      content,
+      content.error
+    );
+  }
+
+  /**
+   * Run a tool and normalize its result. The tool cache is cleared after a mutating tool,
+   * whether or not it succeeded.
+   * @param {Object} tool - Tool instance
+   * @param {Object} call - { toolUseId, toolName, input }
+   * @param {AbortSignal} signal - Signal that aborts the tool
+   * @returns {Promise<Object>} Normalized tool result content
+   */
+  async function runTool(tool, call, signal) {
+    try {
+      const result = await raceWithSignal(
+        Promise.resolve().then(() => tool.execute(call.input, {
+          signal,
+          toolUseId: call.toolUseId,
+          idempotencyKey: toolCallKey(call.toolName, call.input),
+          emit: (eventName, data) => eventBus.emit(eventName, data),
+          listenerCount: eventName => eventBus.listenerCount(eventName)
+        })),
+        signal
+      );
+      return normalizeToolResult(result);
+    } finally {
+      if (tool.isMutating?.()) {
+        await invalidateCache(call);
       }
-      
-      // Continue processing
-      await processConversation();
+    }
+  }
+
+  /**
+   * Clear the tool cache after a mutating tool. Cache failures do not change the tool result and are reported as error events.
+   * @param {Object} call - { toolUseId, toolName, input } of the mutating tool
+   * @returns {Promise<void>}
+   */
+  async function invalidateCache(call) {
+    try {
+      await toolCache.invalidate();
+    } catch (error) {
+      emitError(new AgentError(`Could not clear the tool cache after ${call.toolName}: ${error.message}`, { cause: error }));
+    }
+  }
+
+  /**
+   * Look up a cached tool result. Cache failures count as a miss and are reported as error events.
+   * @param {Object} call - { toolUseId, toolName, input }
+   * @returns {Promise<Object|undefined>} The cached result
+   */
+  async function readCache(call) {
+    try {
+      return await toolCache.get(call.toolName, call.input);
     } catch (error) {
-      console.error(`Error executing tool: ${error.message}`);
-      emitToolError(toolRequest, error.message);
+      emitError(new AgentError(`Could not read the cached result of ${call.toolName}: ${error.message}`, { cause: error }));
+      return undefined;
+    }
+  }
+
+  /**
+   * Store a tool result in the cache. Cache failures do not fail the tool call and are reported as error events.
+   * @param {Object} call - { toolUseId, toolName, input }
+   * @param {Object} content - Normalized tool result content
+   * @param {number} [ttl] - Time to live in milliseconds
+   * @returns {Promise<void>}
+   */
+  async function writeCache(call, content, ttl) {
+    try {
+      await toolCache.set(call.toolName, call.input, content, ttl);
+    } catch (error) {
+      emitError(new AgentError(`Could not cache the result of ${call.toolName}: ${error.message}`, { cause: error }));
+    }
+  }
+
+  /**
+   * Execute or cancel a tool call after the user answered a confirmation request
+   * @param {string} toolUseId - Tool use ID
+   * @param {boolean} confirmed - Whether the tool execution was confirmed
+   * @param {Object} options - Confirmation options
+   * @returns {Promise<void>}
+   */
+  async function confirmTool(toolUseId, confirmed, options) {
+    const toolRequest = conversation.getAllMessages().find(msg =>
+      msg.type === 'tool-request' &&
+      msg.toolUseId === toolUseId
+    );
+
+    if (confirmed) {
+      if (options.always && toolRequest) {
+        approvalPolicy.allowForSession(toolRequest.toolName);
+      }
       
-      // Add a tool result message with the error
+      await executeValidatedTool(toolUseId);
+    } else {
+      const error = 'Tool use was cancelled by the user.';
+
+      eventBus.emit('toolDenied', {
+        timestamp: Date.now(),
+        toolUseId,
+        toolName: toolRequest?.toolName,
+        input: toolRequest?.content[0].toolUse.input,
+        reason: error
+      });
+
+      conversation.setAwaitingConfirmation(toolUseId, false);
       conversation.addToolResultMessage(
-        toolRequest.toolUseId,
-        { error: error.message },
-        error.message
+        toolUseId,
+        { error },
+        error
       );
-      
-      // Continue processing
-      await processConversation();
+
+      // Only steer the model once every tool call of the turn has a result
+      if (conversation.getPendingToolRequests().length === 0) {
+        conversation.addUserMessage('No, do not execute this tool. Lets do something else.', {
+          injected: InjectionReason.TOOL_DENIED
+        });
+      }
     }
+
+    await processConversation();
   }
 
   /**
-   * Emit a tool error event
-   * @param {Object} toolCall - Tool call object
-   * @param {string} error - Error message
+   * Emit an error event
+   * @param {AgentError} error - The typed error
    */
-  function emitToolError(toolCall, error) {
+  function emitError(error) {
     eventBus.emit('error', {
       timestamp: Date.now(),
-      toolUseId: toolCall.toolUseId,
-      toolName: toolCall.name,
-      error: error
+      code: error.code,
+      toolUseId: error.toolUseId,
+      toolName: error.toolName,
+      error: error.message,
+      exception: error
     });
   }
 
-  // Return the public API
-  return {
+  // Public API
+  const agent = {
     /**
-     * Register event handlers
-     * @param {Object} handlers - Event handlers object
-     * @returns {Object} This agent instance for method chaining
+     * Register event handlers.
+     * Either pass an event name, or a pattern with `*` such as 'researcher:*',
+     * and a handler, or an object of handlers keyed as in HANDLER_EVENTS.
+     * See docs/events.md for every event and its payload.
+     * @param {string|Object} handlers - Event name or pattern, or event handlers object
+     * @param {Function} [handler] - Handler called with (data, eventName) when an event name is given
+     * @returns {Function|Object} A function that removes the handler when an event name is given,
+     *   otherwise this agent instance for method chaining
      */
-    on(handlers) {
-      // Core events from requirements
-      if (handlers.start) {
-        eventBus.on('start', handlers.start);
-      }
-      if (handlers.toolStart) {
-        eventBus.on('toolStart', handlers.toolStart);
-      }
-      if (handlers.toolConfirmation) {
-        eventBus.on('toolConfirmation', handlers.toolConfirmation);
+    on(handlers, handler) {
+      if (typeof handlers === 'string') {
+        return eventBus.on(handlers, handler);
       }
-      if (handlers.toolEnd) {
-        eventBus.on('toolEnd', handlers.toolEnd);
-      }
-      if (handlers.userSent) {
-        eventBus.on('userSent', handlers.userSent);
-      }
-      if (handlers.assistantReceive) {
-        eventBus.on('assistantReceive', handlers.assistantReceive);
-      }
-      
-      // Additional events
-      if (handlers.error) {
-        eventBus.on('error', handlers.error);
-      }
-      if (handlers.fileNewContent) {
-        eventBus.on('file:newContentSuggestion', handlers.fileNewContent);
-      }
-      if (handlers.fileUpdateContent) {
-        eventBus.on('file:updateContentSuggestion', handlers.fileUpdateContent);
-      }
-      if (handlers.tokenUsage) {
-        eventBus.on('llm:tokenUsage', handlers.tokenUsage);
-      }
-      if (handlers.systemClosed) {
-        eventBus.on('system:closed', handlers.systemClosed);
+
+      for (const [key, eventName] of Object.entries(HANDLER_EVENTS)) {
+        if (handlers[key]) {
+          eventBus.on(eventName, handlers[key]);
+        }
       }
       
       return this;
     },
 
+    /**
+     * Register a handler called for the next occurrence of an event only
+     * @param {string} eventName - Event name or pattern with `*`
+     * @param {Function} handler - Handler called with (data, eventName)
+     * @returns {Function} A function that removes the handler before it is called
+     */
+    once(eventName, handler) {
+      return eventBus.once(eventName, handler);
+    },
+
+    /**
+     * Add a middleware after the ones already registered
+     * @param {Object} middleware - Object with beforeLLM, afterLLM, beforeTool and/or afterTool functions
+     * @returns {Function} A function that removes the middleware
+     */
+    use(middleware) {
+      return middlewarePipeline.use(middleware);
+    },
+
     /**
      * Run the agent with user input
      * @param {string} input - User input
-     * @returns {Promise<string>} The last assistant message
+     * @param {Object} [options] - Run options
+     * @param {AbortSignal} [options.signal] - Signal that aborts the run
+     * @param {Object} [options.outputSchema] - JSON Schema the answer must match, the parsed answer is returned
+     * @param {number} [options.maxOutputRetries=2] - Number of times invalid answers are sent back for correction
+     * @returns {Promise<string|any>} The last assistant message, or the parsed answer when outputSchema is given
+     * @throws {LLMError} If the LLM could not be invoked
+     * @throws {OutputValidationError} If outputSchema is given and no valid answer was produced
      */
-    async run(input) {
+    async run(input, options = {}) {
+      // A new run supersedes a structured output run paused for confirmations,
+      // so the paused run's output instruction is not sent with it
+      if (!activeRun || options.outputSchema) {
+        abandonOutput('A new run started before the model gave a final answer');
+      }
+
       // Add user message
-      conversation.addUserMessage(input);
+      const messageId = conversation.addUserMessage(input);
       
       // Emit userSent event
       eventBus.emit('userSent', {
         timestamp: Date.now(),
-        messageId: Date.now().toString(),
+        messageId,
         content: input
       });
+
+      if (options.outputSchema) {
+        const finished = new Promise(resolve => {
+          pendingOutput = {
+            schema: options.outputSchema,
+            maxRetries: options.maxOutputRetries ?? 2,
+            attempt: 0,
+            processing: false,
+            settle: resolve
+          };
+        });
+        const output = pendingOutput;
+
+        // An abort while tool calls wait for confirmation ends the wait
+        const onAbort = () => {
+          if (pendingOutput === output) {
+            abandonOutput('The run stopped before the model gave a final answer');
+          }
+        };
+        options.signal?.addEventListener('abort', onAbort, { once: true });
+
+        let outcome;
+        try {
+          await withRun(options, continueStructuredOutput);
+          outcome = await finished;
+        } finally {
+          options.signal?.removeEventListener('abort', onAbort);
+        }
+
+        if (outcome.error) {
+          throw outcome.error;
+        }
+        if (!outcome.result?.ok) {
+          throw new OutputValidationError(
+            outcome.result ? outcome.result.error : 'The run stopped before the model gave a final answer',
+            { errors: outcome.result?.errors, content: outcome.result?.content }
+          );
+        }
+        return outcome.result.value;
+      }
       
       // Process the conversation
-      await processConversation();
+      await withRun(options, processConversation);
       
       // Return the last assistant message
-      const assistantMessages = conversation.getMessagesByType('assistant');
-      return assistantMessages.length > 0 ? assistantMessages[assistantMessages.length - 1].content : '';
+      return lastAssistantContent();
     },
 
     /**
      * Handle tool confirmation from user
      * @param {string} toolUseId - Tool use ID
      * @param {boolean} confirmed - Whether the tool execution was confirmed
+     * @param {Object} [options] - Confirmation options
+     * @param {boolean} [options.always=false] - Always allow this tool for the rest of the session
+     * @param {AbortSignal} [options.signal] - Signal that aborts the rest of the run
      * @returns {Promise<void>}
+     * @throws {LLMError} If the LLM could not be invoked
      */
-    async handleToolConfirmation(toolUseId, confirmed) {
-      if (confirmed) {
-        await executeValidatedTool(toolUseId);
-      } else {
-        conversation.addToolResultMessage(
-          toolUseId,
-          { error: "Tool use was cancelled by the user." },
-          'Tool use was cancelled by the user.'
-        );
-        conversation.addUserMessage('No, do not execute this tool. Lets do something else.');
+    async handleToolConfirmation(toolUseId, confirmed, options = {}) {
+      await withRun(options, async () => {
+        await confirmTool(toolUseId, confirmed, options);
+        await continueStructuredOutput();
+      });
+    },
+
+    /**
+     * Continue a resumed conversation from where it stopped.
+     * Pending tool confirmations are emitted again, and pending LLM calls or tools are run.
+     * @param {Object} [options] - Run options
+     * @param {AbortSignal} [options.signal] - Signal that aborts the run
+     * @returns {Promise<string>} The last assistant message
+     * @throws {LLMError} If the LLM could not be invoked
+     */
+    async resume(options = {}) {
+      for (const toolRequest of conversation.getAwaitingConfirmations()) {
+        requestConfirmation({
+          toolUseId: toolRequest.toolUseId,
+          name: toolRequest.toolName,
+          input: toolRequest.content[0].toolUse.input
+        });
+      }
+
+      await withRun(options, async () => {
         await processConversation();
+        await continueStructuredOutput();
+      });
+
+      return lastAssistantContent();
+    },
+
+    /**
+     * Abort the run in progress. Pending tools get cancelled results and the run resolves normally.
+     * @param {string} [reason] - Why the run was aborted
+     * @returns {Promise<void>} Promise that resolves when the run has finished
+     */
+    async abort(reason = 'Run was aborted') {
+      if (!activeRun) {
+        // A structured output run paused for confirmations has no run in progress
+        abandonOutput('The run stopped before the model gave a final answer');
+        return;
+      }
+
+      const run = activeRun;
+      run.controller.abort(new AbortError(reason));
+      await run.done.catch(() => {});
+    },
+
+    /**
+     * Generate the last answer again on a new branch. The previous answer stays on the old branch.
+     * @param {Object} [options] - Run options
+     * @param {string} [options.branch] - Name of the new branch
+     * @param {AbortSignal} [options.signal] - Signal that aborts the run
+     * @returns {Promise<string>} The new assistant message
+     */
+    async retry(options = {}) {
+      assertIdle();
+      const lastUserMessage = conversation.getLastUserMessage();
+      if (!lastUserMessage) {
+        throw new Error('There is no user message to retry');
       }
+
+      abandonOutput('A new run started before the model gave a final answer');
+      conversation.fork(lastUserMessage.id, options.branch);
+      emitBranchChanged();
+      await withRun(options, processConversation);
+      return lastAssistantContent();
+    },
+
+    /**
+     * Replace an earlier user message on a new branch and generate a new answer from there.
+     * The original messages stay on the old branch.
+     * @param {string} messageId - ID of the user message to edit
+     * @param {string} content - New content of the message
+     * @param {Object} [options] - Run options
+     * @param {string} [options.branch] - Name of the new branch
+     * @param {AbortSignal} [options.signal] - Signal that aborts the run
+     * @returns {Promise<string>} The new assistant message
+     */
+    async edit(messageId, content, options = {}) {
+      assertIdle();
+      abandonOutput('A new run started before the model gave a final answer');
+      conversation.editUserMessage(messageId, content, options.branch);
+      emitBranchChanged();
+      await withRun(options, processConversation);
+      return lastAssistantContent();
+    },
+
+    /**
+     * Remove the last turn, from the last user message to the end of the current branch
+     * @returns {Array} The removed messages
+     */
+    undo() {
+      assertIdle();
+      return conversation.rollback();
+    },
+
+    /**
+     * Create a branch at a message of the current branch and switch to it
+     * @param {string} [name] - Name of the new branch
+     * @param {string} [messageId] - Last message of the new branch, defaults to the last message
+     * @returns {string} The name of the new branch
+     */
+    fork(name, messageId = conversation.getLastMessage()?.id) {
+      assertIdle();
+      const branch = conversation.fork(messageId, name);
+      emitBranchChanged();
+      return branch;
+    },
+
+    /**
+     * Switch to another branch
+     * @param {string} name - Name of the branch
+     */
+    switchBranch(name) {
+      assertIdle();
+      conversation.switchBranch(name);
+      emitBranchChanged();
+    },
+
+    /**
+     * Get the tool calls waiting for handleToolConfirmation
+     * @returns {Array<Object>} Tool calls with toolUseId, toolName and input
+     */
+    get pendingConfirmations() {
+      return conversation.getAwaitingConfirmations().map(toolRequest => ({
+        toolUseId: toolRequest.toolUseId,
+        toolName: toolRequest.toolName,
+        input: toolRequest.content[0].toolUse.input
+      }));
+    },
+
+    /**
+     * Get a summary of every branch
+     * @returns {Array<Object>} Branches with name, current, messageCount and lastMessageId
+     */
+    get branches() {
+      return conversation.getBranches();
+    },
+
+    /**
+     * Get the name of the current branch
+     * @returns {string} The current branch
+     */
+    get currentBranch() {
+      return conversation.currentBranch;
+    },
+
+    /**
+     * Serialize the conversation so it can be passed back as config.history
+     * @returns {Object} Serialized conversation
+     */
+    toJSON() {
+      return conversation.toJSON();
+    },
+
+    /**
+     * Save the conversation to a .json or .jsonl file
+     * @param {string} filePath - Path of the session file
+     * @returns {Promise<void>}
+     */
+    async save(filePath) {
+      await saveConversation(filePath, conversation.toJSON());
+    },
+
+    /**
+     * Export the current branch of the conversation as a readable or replayable transcript
+     * @param {string} [format='markdown'] - One of TranscriptFormat: 'markdown', 'html' or 'jsonl'
+     * @param {Object} [options] - Export options, see exportMarkdown and exportHtml
+     * @returns {string} The transcript
+     */
+    exportTranscript(format, options) {
+      return exportTranscript(conversation.getAllMessages(), format, options);
     },
 
     /**
@@ -356,8 +1755,21 @@ export function createAgent(config) {
      * @returns {Promise<void>}
      */
     async shutdown() {
-      // Clear event listeners
-      eventBus.clearAllListeners();
+      try {
+        // Let handlers such as the tracer finish their work
+        await eventBus.emitAsync('system:closed', {
+          timestamp: Date.now()
+        });
+      } finally {
+        // Clear event listeners, even when a handler failed
+        eventBus.clearAllListeners();
+      }
     }
   };
+
+  if (config.tracer) {
+    config.tracer.instrument(agent);
+  }
+
+  return agent;
 }
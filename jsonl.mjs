@@ -0,0 +1,21 @@
+/**
+ * Parse newline-delimited JSON. Blank lines are skipped, and lines are
+ * parsed before blank lines are dropped so errors point at the line in the text.
+ * @param {string} text - JSONL text
+ * @param {string} source - Name of the text used in error messages, such as a file path
+ * @returns {Array<any>} The parsed values
+ * @throws {Error} If a line is not valid JSON
+ */
+export function parseJsonLines(text, source) {
+  return text
+    .split('\n')
+    .map((line, index) => {
+      if (line.trim() === '') return null;
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Invalid JSON on line ${index + 1} of ${source}: ${error.message}`);
+      }
+    })
+    .filter(value => value !== null);
+}
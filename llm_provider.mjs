@@ -0,0 +1,84 @@
+/**
+ * Types of responses returned by an LLM service's invokeModel
+ */
+export const ResponseType = {
+  ASSISTANT_MESSAGE: 'ASSISTANT_MESSAGE',
+  ASSISTANT_TOOL_REQUEST: 'ASSISTANT_TOOL_REQUEST'
+};
+
+/**
+ * A tool call requested by the model
+ * @typedef {Object} ToolCall
+ * @property {string} toolUseId - ID that links the call to its tool result
+ * @property {string} name - Name of the tool to call
+ * @property {Object|string} input - Input for the tool, or the raw text when the model sent invalid JSON
+ */
+
+/**
+ * Response returned by an LLM service
+ * @typedef {Object} LLMResponse
+ * @property {string} type - One of ResponseType
+ * @property {string} [content] - Assistant text
+ * @property {Array<ToolCall>} [toolCalls] - Tool calls when type is ASSISTANT_TOOL_REQUEST
+ * @property {number} [totalTokens] - Tokens used by the request and response
+ */
+
+/**
+ * Interface every LLM service passed to createAgent must implement
+ * @typedef {Object} LLMProvider
+ * @property {Function} registerTools - Called once with the agent's Tool instances
+ * @property {Function} invokeModel - Called with (messages, { signal }) and returns a Promise<LLMResponse>
+ * @property {Function} [invokeModelStream] - Called with (messages, { signal }) and returns an async iterable of stream chunks
+ */
+
+/**
+ * Check that an object implements the LLM provider interface
+ * @param {Object} llm - LLM service to check
+ * @throws {TypeError} When a required method is missing
+ */
+export function assertLLMProvider(llm) {
+  if (!llm || typeof llm !== 'object') {
+    throw new TypeError('createAgent requires an llm service');
+  }
+  for (const method of ['registerTools', 'invokeModel']) {
+    if (typeof llm[method] !== 'function') {
+      throw new TypeError(`LLM service must implement ${method}()`);
+    }
+  }
+}
+
+/**
+ * Describe tools in a provider-neutral way
+ * @param {Array} tools - Tool instances
+ * @returns {Array<Object>} Tool specs of the form { name, description, inputSchema }
+ */
+export function toToolSpecs(tools) {
+  return tools.map(tool => ({
+    name: tool.getName(),
+    description: tool.getDescription(),
+    inputSchema: tool.getParameters()
+  }));
+}
+
+/**
+ * Build an LLMResponse from assistant text and tool calls
+ * @param {string} content - Assistant text
+ * @param {Array<ToolCall>} toolCalls - Tool calls, may be empty
+ * @param {number} [totalTokens] - Tokens used
+ * @returns {LLMResponse} The response
+ */
+export function createResponse(content, toolCalls, totalTokens) {
+  if (toolCalls.length > 0) {
+    return {
+      type: ResponseType.ASSISTANT_TOOL_REQUEST,
+      content,
+      toolCalls,
+      totalTokens
+    };
+  }
+  return {
+    type: ResponseType.ASSISTANT_MESSAGE,
+    content,
+    totalTokens
+  };
+}
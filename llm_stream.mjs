@@ -0,0 +1,102 @@
+import { ResponseType } from './llm_provider.mjs';
+
+/**
+ * Types of chunks yielded by an LLM service's invokeModelStream
+ */
+export const StreamChunkType = {
+  TEXT_DELTA: 'textDelta',
+  TOOL_INPUT_DELTA: 'toolInputDelta',
+  USAGE: 'usage',
+  RESPONSE: 'response'
+};
+
+/**
+ * Parse the accumulated JSON text of a streamed tool input, keeping the raw text when it is not valid JSON
+ * @param {string} text - Concatenated tool input deltas
+ * @returns {Object|string} The parsed input, or an empty object when nothing was streamed
+ */
+function parseToolInput(text) {
+  if (text.trim() === '') {
+    return {};
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Consume a streamed LLM response and build the same response object
+ * that invokeModel returns.
+ *
+ * The stream yields chunks of the form:
+ * - { type: 'textDelta', text }
+ * - { type: 'toolInputDelta', toolUseId, name, delta } where delta is partial JSON text
+ * - { type: 'usage', totalTokens }
+ * - { type: 'response', response } with the final invokeModel-shaped response
+ *
+ * When the stream does not end with a response chunk, the response is
+ * assembled from the deltas.
+ * @param {AsyncIterable<Object>} stream - Async iterable of stream chunks
+ * @param {Object} [handlers] - Callbacks for incremental output
+ * @param {Function} [handlers.onTextDelta] - Called with (text, contentSoFar)
+ * @param {Function} [handlers.onToolInputDelta] - Called with ({ toolUseId, name, delta })
+ * @returns {Promise<Object>} The complete LLM response
+ */
+export async function collectStream(stream, handlers = {}) {
+  let content = '';
+  let totalTokens;
+  const toolInputs = new Map();
+
+  for await (const chunk of stream) {
+    switch (chunk.type) {
+      case StreamChunkType.TEXT_DELTA:
+        content += chunk.text;
+        if (handlers.onTextDelta) {
+          handlers.onTextDelta(chunk.text, content);
+        }
+        break;
+
+      case StreamChunkType.TOOL_INPUT_DELTA:
+        if (!toolInputs.has(chunk.toolUseId)) {
+          toolInputs.set(chunk.toolUseId, { name: chunk.name, text: '' });
+        }
+        toolInputs.get(chunk.toolUseId).text += chunk.delta;
+        if (handlers.onToolInputDelta) {
+          handlers.onToolInputDelta({
+            toolUseId: chunk.toolUseId,
+            name: toolInputs.get(chunk.toolUseId).name,
+            delta: chunk.delta
+          });
+        }
+        break;
+
+      case StreamChunkType.USAGE:
+        totalTokens = chunk.totalTokens;
+        break;
+
+      case StreamChunkType.RESPONSE:
+        return chunk.response;
+    }
+  }
+
+  if (toolInputs.size > 0) {
+    return {
+      type: ResponseType.ASSISTANT_TOOL_REQUEST,
+      content,
+      totalTokens,
+      toolCalls: [...toolInputs].map(([toolUseId, { name, text }]) => ({
+        toolUseId,
+        name,
+        input: parseToolInput(text)
+      }))
+    };
+  }
+
+  return {
+    type: ResponseType.ASSISTANT_MESSAGE,
+    content,
+    totalTokens
+  };
+}
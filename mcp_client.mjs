@@ -0,0 +1,537 @@
+import { spawn } from 'child_process';
+import { Tool } from './tool.mjs';
+import { validateSchema, formatSchemaErrors } from './schema_validator.mjs';
+import { McpError } from './errors.mjs';
+
+/**
+ * MCP protocol version requested during initialization
+ */
+export const MCP_PROTOCOL_VERSION = '2024-11-05';
+
+/**
+ * JSON-RPC error code for unknown methods
+ */
+const METHOD_NOT_FOUND = -32601;
+
+/**
+ * Transport that talks to an MCP server started as a child process,
+ * exchanging newline-delimited JSON-RPC messages over stdin and stdout
+ */
+export class StdioTransport {
+  /**
+   * @param {Object} config - Transport configuration
+   * @param {string} config.command - Command that starts the server
+   * @param {Array<string>} [config.args] - Command arguments
+   * @param {Object} [config.env] - Extra environment variables
+   * @param {string} [config.cwd] - Working directory of the server
+   */
+  constructor(config) {
+    this.config = config;
+    this.process = null;
+    this.closed = false;
+    this.onmessage = null;
+    this.onclose = null;
+  }
+
+  /**
+   * Start the server process
+   * @returns {Promise<void>}
+   */
+  async start() {
+    this.process = spawn(this.config.command, this.config.args || [], {
+      cwd: this.config.cwd,
+      env: { ...process.env, ...this.config.env },
+      stdio: ['pipe', 'pipe', 'ignore']
+    });
+
+    let buffer = '';
+    this.process.stdout.setEncoding('utf8');
+    this.process.stdout.on('data', chunk => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline).trim();
+        buffer = buffer.slice(newline + 1);
+        if (line) {
+          this.receive(line);
+        }
+      }
+    });
+
+    this.process.on('close', code => {
+      this.fail(new McpError(`MCP server exited with code ${code}`));
+    });
+    this.process.on('error', error => {
+      this.fail(new McpError(`MCP server process failed: ${error.message}`));
+    });
+    // Writing to a server that exited fails with EPIPE
+    this.process.stdin.on('error', error => {
+      this.fail(new McpError(`MCP server input failed: ${error.message}`));
+    });
+
+    await new Promise((resolve, reject) => {
+      this.process.once('spawn', resolve);
+      this.process.once('error', reject);
+    });
+  }
+
+  /**
+   * Report the loss of the connection once
+   * @param {McpError} error - Why the connection was lost
+   */
+  fail(error) {
+    if (this.closed) return;
+    this.closed = true;
+    this.onclose?.(error);
+  }
+
+  /**
+   * Parse and deliver a received line
+   * @param {string} line - JSON text
+   */
+  receive(line) {
+    try {
+      this.onmessage?.(JSON.parse(line));
+    } catch {
+      // Ignore output that is not JSON-RPC, such as log lines
+    }
+  }
+
+  /**
+   * Send a JSON-RPC message
+   * @param {Object} message - Message to send
+   * @returns {Promise<void>}
+   */
+  async send(message) {
+    if (!this.process || this.process.exitCode !== null || !this.process.stdin.writable) {
+      throw new McpError('MCP server is not running');
+    }
+    await new Promise((resolve, reject) => {
+      this.process.stdin.write(JSON.stringify(message) + '\n', error => {
+        if (error) {
+          reject(new McpError(`Failed to send to MCP server: ${error.message}`));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Stop the server process
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.process && this.process.exitCode === null) {
+      this.process.stdin.end();
+      this.process.kill();
+    }
+  }
+}
+
+/**
+ * Transport that talks to an MCP server over HTTP with Server-Sent Events.
+ * Messages from the server arrive on the event stream, messages to the
+ * server are POSTed to the endpoint announced in the first `endpoint` event.
+ */
+export class SseTransport {
+  /**
+   * @param {Object} config - Transport configuration
+   * @param {string} config.url - URL of the server's SSE endpoint
+   * @param {Object} [config.headers] - Extra request headers
+   */
+  constructor(config) {
+    this.config = config;
+    this.endpoint = null;
+    this.controller = new AbortController();
+    this.onmessage = null;
+    this.onclose = null;
+  }
+
+  /**
+   * Open the event stream and wait for the message endpoint
+   * @returns {Promise<void>}
+   */
+  async start() {
+    const response = await fetch(this.config.url, {
+      headers: { accept: 'text/event-stream', ...this.config.headers },
+      signal: this.controller.signal
+    });
+    if (!response.ok) {
+      throw new McpError(`Failed to connect to MCP server at ${this.config.url}: status ${response.status}`);
+    }
+
+    await new Promise((resolve, reject) => {
+      this.readEvents(response.body, resolve).then(
+        () => {
+          reject(new McpError('MCP event stream ended before the endpoint was announced'));
+          this.onclose?.(new McpError('MCP server closed the event stream'));
+        },
+        error => {
+          reject(error);
+          this.onclose?.(new McpError(`MCP event stream failed: ${error.message}`));
+        }
+      );
+    });
+  }
+
+  /**
+   * Read Server-Sent Events from a response body
+   * @param {ReadableStream} body - Response body
+   * @param {Function} onEndpoint - Called once the endpoint event arrives
+   * @returns {Promise<void>} Resolves when the stream ends
+   */
+  async readEvents(body, onEndpoint) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of body) {
+      buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, '\n');
+
+      let separator;
+      while ((separator = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, separator);
+        buffer = buffer.slice(separator + 2);
+
+        let event = 'message';
+        const data = [];
+        for (const line of block.split('\n')) {
+          if (line.startsWith('event:')) {
+            event = line.slice(6).trim();
+          } else if (line.startsWith('data:')) {
+            data.push(line.slice(5).replace(/^ /, ''));
+          }
+        }
+
+        if (event === 'endpoint') {
+          this.endpoint = new URL(data.join('\n'), this.config.url).href;
+          onEndpoint();
+        } else if (event === 'message' && data.length > 0) {
+          try {
+            this.onmessage?.(JSON.parse(data.join('\n')));
+          } catch {
+            // Ignore events that are not JSON-RPC
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Send a JSON-RPC message
+   * @param {Object} message - Message to send
+   * @returns {Promise<void>}
+   */
+  async send(message) {
+    if (!this.endpoint || this.controller.signal.aborted) {
+      throw new McpError('MCP server is not connected');
+    }
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...this.config.headers },
+      body: JSON.stringify(message)
+    });
+    if (!response.ok) {
+      throw new McpError(`MCP server rejected a message with status ${response.status}`);
+    }
+  }
+
+  /**
+   * Close the event stream
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.controller.abort();
+  }
+}
+
+/**
+ * JSON-RPC client for a Model Context Protocol server
+ */
+export class McpClient {
+  /**
+   * @param {Object} transport - StdioTransport, SseTransport or any object with start, send and close
+   * @param {Object} [options] - Client options
+   * @param {Object} [options.clientInfo] - Name and version reported to the server
+   * @param {number} [options.requestTimeout=60000] - Maximum time to wait for a response in milliseconds
+   */
+  constructor(transport, options = {}) {
+    this.transport = transport;
+    this.clientInfo = options.clientInfo || { name: 'orange-agent', version: '0.0.2' };
+    this.requestTimeout = options.requestTimeout || 60000;
+    this.pending = new Map();
+    this.nextId = 1;
+    this.closedError = null;
+    this.serverInfo = null;
+
+    this.transport.onmessage = message => this.handleMessage(message);
+    this.transport.onclose = error => this.handleClose(error);
+  }
+
+  /**
+   * Start the transport and perform the initialization handshake
+   * @returns {Promise<Object>} The server's initialize result
+   */
+  async connect() {
+    await this.transport.start();
+    const result = await this.request('initialize', {
+      protocolVersion: MCP_PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: this.clientInfo
+    });
+    this.serverInfo = result.serverInfo;
+    await this.notify('notifications/initialized');
+    return result;
+  }
+
+  /**
+   * Send a request and wait for its response
+   * @param {string} method - JSON-RPC method
+   * @param {Object} [params] - Method parameters
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Signal that cancels the request
+   * @returns {Promise<any>} The result
+   */
+  async request(method, params, options = {}) {
+    if (this.closedError) {
+      throw this.closedError;
+    }
+    if (options.signal?.aborted) {
+      throw new McpError(`MCP request ${method} was aborted`);
+    }
+
+    const id = this.nextId++;
+    const response = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new McpError(`MCP request ${method} timed out after ${this.requestTimeout}ms`));
+      }, this.requestTimeout);
+
+      const onAbort = () => {
+        this.pending.delete(id);
+        clearTimeout(timer);
+        this.notify('notifications/cancelled', { requestId: id, reason: 'Aborted' }).catch(() => {});
+        reject(new McpError(`MCP request ${method} was aborted`));
+      };
+      options.signal?.addEventListener('abort', onAbort, { once: true });
+
+      this.pending.set(id, {
+        resolve,
+        reject,
+        cleanup: () => {
+          clearTimeout(timer);
+          options.signal?.removeEventListener('abort', onAbort);
+        }
+      });
+    });
+
+    try {
+      await this.transport.send({ jsonrpc: '2.0', id, method, params });
+    } catch (error) {
+      this.settle(id, { error: { message: error.message } });
+    }
+    return await response;
+  }
+
+  /**
+   * Send a notification, which has no response
+   * @param {string} method - JSON-RPC method
+   * @param {Object} [params] - Method parameters
+   * @returns {Promise<void>}
+   */
+  async notify(method, params) {
+    await this.transport.send({ jsonrpc: '2.0', method, params });
+  }
+
+  /**
+   * Resolve or reject a pending request
+   * @param {number} id - Request ID
+   * @param {Object} message - Response with result or error
+   */
+  settle(id, message) {
+    const pending = this.pending.get(id);
+    if (!pending) return;
+
+    this.pending.delete(id);
+    pending.cleanup();
+    if (message.error) {
+      pending.reject(new McpError(message.error.message, {
+        rpcCode: message.error.code,
+        data: message.error.data
+      }));
+    } else {
+      pending.resolve(message.result);
+    }
+  }
+
+  /**
+   * Handle a message from the server
+   * @param {Object} message - JSON-RPC message
+   */
+  handleMessage(message) {
+    if (message.method === undefined) {
+      this.settle(message.id, message);
+      return;
+    }
+
+    // Requests from the server need an answer, notifications do not
+    if (message.id !== undefined) {
+      const reply = message.method === 'ping'
+        ? { jsonrpc: '2.0', id: message.id, result: {} }
+        : { jsonrpc: '2.0', id: message.id, error: { code: METHOD_NOT_FOUND, message: `Method not supported: ${message.method}` } };
+      this.transport.send(reply).catch(() => {});
+    }
+  }
+
+  /**
+   * Fail every pending and future request after the connection is lost.
+   * The first reason is kept, so closing the client is not reported as the
+   * transport failure that the close causes.
+   * @param {Error} error - Why the connection was lost
+   */
+  handleClose(error) {
+    if (this.closedError) return;
+    this.closedError = new McpError(`MCP server disconnected: ${error.message}`);
+    for (const id of [...this.pending.keys()]) {
+      this.settle(id, { error: { message: this.closedError.message } });
+    }
+  }
+
+  /**
+   * List every tool of the server, following pagination
+   * @returns {Promise<Array<Object>>} Tool definitions with name, description and inputSchema
+   */
+  async listTools() {
+    const tools = [];
+    let cursor;
+    do {
+      const result = await this.request('tools/list', cursor ? { cursor } : {});
+      tools.push(...result.tools);
+      cursor = result.nextCursor;
+    } while (cursor);
+    return tools;
+  }
+
+  /**
+   * Call a tool on the server
+   * @param {string} name - Tool name
+   * @param {Object} args - Tool arguments
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Signal that cancels the call
+   * @returns {Promise<Object>} The tool result with content and isError
+   */
+  async callTool(name, args, options) {
+    return await this.request('tools/call', { name, arguments: args }, options);
+  }
+
+  /**
+   * Close the connection
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.transport.close();
+    this.handleClose(new McpError('client closed the connection'));
+  }
+}
+
+/**
+ * Connect to an MCP server over stdio when a command is given, or over SSE when a url is given
+ * @param {Object} config - StdioTransport or SseTransport configuration, plus McpClient options
+ * @returns {Promise<McpClient>} A connected client
+ */
+export async function connectMcpServer(config) {
+  const transport = config.url ? new SseTransport(config) : new StdioTransport(config);
+  const client = new McpClient(transport, config);
+  await client.connect();
+  return client;
+}
+
+/**
+ * Convert an MCP tool result to tool result content
+ * @param {Object} result - Result of tools/call
+ * @returns {Object} Tool result content
+ */
+function toToolResult(result) {
+  const text = (result.content || [])
+    .map(block => block.type === 'text' ? block.text : JSON.stringify(block))
+    .join('\n');
+
+  if (result.isError) {
+    return { error: text || 'The MCP tool reported an error' };
+  }
+  if (result.structuredContent) {
+    return result.structuredContent;
+  }
+  return { result: text };
+}
+
+/**
+ * Tool that forwards calls to a tool of an MCP server
+ */
+export class McpTool extends Tool {
+  /**
+   * @param {McpClient} client - Connected client
+   * @param {Object} definition - Tool definition from tools/list
+   * @param {Object} [options] - Tool options
+   * @param {string} [options.prefix=''] - Prefix added to the tool name
+   * @param {Function} [options.requiresAcceptance] - Called with (name, params), defaults to the destructiveHint annotation
+   */
+  constructor(client, definition, options = {}) {
+    super();
+    this.client = client;
+    this.definition = definition;
+    this.prefix = options.prefix || '';
+    this.acceptanceCheck = options.requiresAcceptance;
+  }
+
+  getName() {
+    return this.prefix + this.definition.name;
+  }
+
+  getDescription() {
+    return this.definition.description || '';
+  }
+
+  getParameters() {
+    return this.definition.inputSchema || { type: 'object', properties: {} };
+  }
+
+  validate(params) {
+    const errors = validateSchema(this.getParameters(), params);
+    if (errors.length > 0) {
+      return { ok: false, error: formatSchemaErrors(errors), errors };
+    }
+    return { ok: true };
+  }
+
+  async execute(params, context = {}) {
+    try {
+      const result = await this.client.callTool(this.definition.name, params, { signal: context.signal });
+      return toToolResult(result);
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  requiresAcceptance(params) {
+    if (this.acceptanceCheck) {
+      return this.acceptanceCheck(this.definition.name, params);
+    }
+    return this.definition.annotations?.destructiveHint === true;
+  }
+
+  isConcurrencySafe() {
+    return this.definition.annotations?.readOnlyHint === true;
+  }
+}
+
+/**
+ * List the tools of an MCP server and wrap each one as a Tool
+ * @param {McpClient} client - Connected client
+ * @param {Object} [options] - McpTool options
+ * @returns {Promise<Array<McpTool>>} The tools
+ */
+export async function createMcpTools(client, options) {
+  const definitions = await client.listTools();
+  return definitions.map(definition => new McpTool(client, definition, options));
+}
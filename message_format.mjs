@@ -0,0 +1,326 @@
+import { MessageType } from './conversation_manager.mjs';
+import { createResponse } from './llm_provider.mjs';
+
+/**
+ * Get the text of a message whose content is a string or a list of text blocks
+ * @param {Object} message - Conversation message
+ * @returns {string} The message text
+ */
+function textOf(message) {
+  if (typeof message.content === 'string') {
+    return message.content;
+  }
+  if (Array.isArray(message.content)) {
+    return message.content
+      .filter(block => typeof block.text === 'string')
+      .map(block => block.text)
+      .join('');
+  }
+  return message.content === undefined || message.content === null ? '' : String(message.content);
+}
+
+/**
+ * Get the tool use of a tool request message
+ * @param {Object} message - Tool request message
+ * @returns {Object} { toolUseId, name, input }
+ */
+function toolUseOf(message) {
+  return message.content[0].toolUse;
+}
+
+/**
+ * Get the tool result of a tool result message with its JSON payload as text
+ * @param {Object} message - Tool result message
+ * @returns {Object} { toolUseId, text, isError }
+ */
+function toolResultOf(message) {
+  const toolResult = message.content[0].toolResult;
+  return {
+    toolUseId: toolResult.toolUseId,
+    text: JSON.stringify(toolResult.content[0].json),
+    isError: toolResult.status === 'error'
+  };
+}
+
+/**
+ * Merge consecutive messages with the same role into one message with several content blocks
+ * @param {Array<Object>} messages - Messages of the form { role, content: [blocks] }
+ * @returns {Array<Object>} Merged messages
+ */
+function mergeByRole(messages) {
+  const merged = [];
+  for (const message of messages) {
+    const previous = merged[merged.length - 1];
+    if (previous && previous.role === message.role) {
+      previous.content.push(...message.content);
+    } else {
+      merged.push({ role: message.role, content: [...message.content] });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Convert conversation messages to the Bedrock Converse format
+ * @param {Array<Object>} messages - ConversationManager messages
+ * @returns {Object} { system, messages } for the Converse API
+ */
+export function toBedrockMessages(messages) {
+  const system = [];
+  const converted = [];
+
+  for (const message of messages) {
+    switch (message.type) {
+      case MessageType.SYSTEM:
+        system.push({ text: textOf(message) });
+        break;
+      case MessageType.TOOL_REQUEST:
+      case MessageType.TOOL_RESULT:
+        converted.push({ role: message.bedrockType, content: message.content });
+        break;
+      default:
+        converted.push({ role: message.bedrockType, content: [{ text: textOf(message) }] });
+    }
+  }
+
+  return { system, messages: mergeByRole(converted) };
+}
+
+/**
+ * Convert conversation messages to the Anthropic Messages format
+ * @param {Array<Object>} messages - ConversationManager messages
+ * @returns {Object} { system, messages } for the Messages API
+ */
+export function toAnthropicMessages(messages) {
+  const system = [];
+  const converted = [];
+
+  for (const message of messages) {
+    switch (message.type) {
+      case MessageType.SYSTEM:
+        system.push(textOf(message));
+        break;
+      case MessageType.TOOL_REQUEST: {
+        const toolUse = toolUseOf(message);
+        converted.push({
+          role: 'assistant',
+          content: [{ type: 'tool_use', id: toolUse.toolUseId, name: toolUse.name, input: toolUse.input }]
+        });
+        break;
+      }
+      case MessageType.TOOL_RESULT: {
+        const toolResult = toolResultOf(message);
+        converted.push({
+          role: 'user',
+          content: [{
+            type: 'tool_result',
+            tool_use_id: toolResult.toolUseId,
+            content: toolResult.text,
+            is_error: toolResult.isError
+          }]
+        });
+        break;
+      }
+      default:
+        converted.push({
+          role: message.bedrockType,
+          content: [{ type: 'text', text: textOf(message) }]
+        });
+    }
+  }
+
+  return { system: system.join('\n\n'), messages: mergeByRole(converted) };
+}
+
+/**
+ * Convert conversation messages to the OpenAI chat completions format
+ * @param {Array<Object>} messages - ConversationManager messages
+ * @returns {Array<Object>} Chat messages
+ */
+export function toOpenAIMessages(messages) {
+  const converted = [];
+
+  for (const message of messages) {
+    const previous = converted[converted.length - 1];
+
+    switch (message.type) {
+      case MessageType.SYSTEM:
+        converted.push({ role: 'system', content: textOf(message) });
+        break;
+      case MessageType.ASSISTANT:
+        converted.push({ role: 'assistant', content: textOf(message) });
+        break;
+      case MessageType.TOOL_REQUEST: {
+        const toolUse = toolUseOf(message);
+        const toolCall = {
+          id: toolUse.toolUseId,
+          type: 'function',
+          function: { name: toolUse.name, arguments: JSON.stringify(toolUse.input) }
+        };
+        // All tool calls of one turn belong to a single assistant message
+        if (previous && previous.role === 'assistant') {
+          previous.tool_calls = [...(previous.tool_calls || []), toolCall];
+        } else {
+          converted.push({ role: 'assistant', content: null, tool_calls: [toolCall] });
+        }
+        break;
+      }
+      case MessageType.TOOL_RESULT: {
+        const toolResult = toolResultOf(message);
+        converted.push({ role: 'tool', tool_call_id: toolResult.toolUseId, content: toolResult.text });
+        break;
+      }
+      default:
+        converted.push({ role: 'user', content: textOf(message) });
+    }
+  }
+
+  return converted;
+}
+
+/**
+ * Convert conversation messages to the Ollama chat format
+ * @param {Array<Object>} messages - ConversationManager messages
+ * @returns {Array<Object>} Chat messages
+ */
+export function toOllamaMessages(messages) {
+  const converted = [];
+  const toolNames = new Map();
+
+  for (const message of messages) {
+    const previous = converted[converted.length - 1];
+
+    switch (message.type) {
+      case MessageType.SYSTEM:
+        converted.push({ role: 'system', content: textOf(message) });
+        break;
+      case MessageType.ASSISTANT:
+        converted.push({ role: 'assistant', content: textOf(message) });
+        break;
+      case MessageType.TOOL_REQUEST: {
+        const toolUse = toolUseOf(message);
+        const toolCall = { function: { name: toolUse.name, arguments: toolUse.input } };
+        toolNames.set(toolUse.toolUseId, toolUse.name);
+        if (previous && previous.role === 'assistant') {
+          previous.tool_calls = [...(previous.tool_calls || []), toolCall];
+        } else {
+          converted.push({ role: 'assistant', content: '', tool_calls: [toolCall] });
+        }
+        break;
+      }
+      case MessageType.TOOL_RESULT: {
+        const toolResult = toolResultOf(message);
+        converted.push({
+          role: 'tool',
+          tool_name: toolNames.get(toolResult.toolUseId),
+          content: toolResult.text
+        });
+        break;
+      }
+      default:
+        converted.push({ role: 'user', content: textOf(message) });
+    }
+  }
+
+  return converted;
+}
+
+/**
+ * Convert tool specs to Anthropic tool definitions
+ * @param {Array<Object>} specs - Tool specs from toToolSpecs
+ * @returns {Array<Object>} Anthropic tools
+ */
+export function toAnthropicTools(specs) {
+  return specs.map(spec => ({
+    name: spec.name,
+    description: spec.description,
+    input_schema: spec.inputSchema
+  }));
+}
+
+/**
+ * Convert tool specs to OpenAI function tools, also used by Ollama
+ * @param {Array<Object>} specs - Tool specs from toToolSpecs
+ * @returns {Array<Object>} OpenAI tools
+ */
+export function toOpenAITools(specs) {
+  return specs.map(spec => ({
+    type: 'function',
+    function: {
+      name: spec.name,
+      description: spec.description,
+      parameters: spec.inputSchema
+    }
+  }));
+}
+
+/**
+ * Convert an Anthropic Messages API response to an LLMResponse
+ * @param {Object} body - Response body
+ * @returns {Object} The LLMResponse
+ */
+export function fromAnthropicResponse(body) {
+  const content = body.content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('');
+  const toolCalls = body.content
+    .filter(block => block.type === 'tool_use')
+    .map(block => ({ toolUseId: block.id, name: block.name, input: block.input }));
+  const usage = body.usage || {};
+
+  return createResponse(content, toolCalls, (usage.input_tokens || 0) + (usage.output_tokens || 0));
+}
+
+/**
+ * Parse the JSON arguments of a tool call, keeping the raw text when it is not valid JSON
+ * @param {string} text - Arguments text
+ * @returns {Object|string} The parsed arguments
+ */
+function parseArguments(text) {
+  try {
+    return JSON.parse(text || '{}');
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Convert an OpenAI chat completions response to an LLMResponse
+ * @param {Object} body - Response body
+ * @returns {Object} The LLMResponse
+ */
+export function fromOpenAIResponse(body) {
+  const message = body.choices[0].message;
+  const toolCalls = (message.tool_calls || []).map(toolCall => ({
+    toolUseId: toolCall.id,
+    name: toolCall.function.name,
+    input: parseArguments(toolCall.function.arguments)
+  }));
+
+  return createResponse(message.content || '', toolCalls, body.usage?.total_tokens);
+}
+
+/**
+ * Convert an Ollama chat response to an LLMResponse.
+ * Ollama does not assign IDs to tool calls, so IDs are generated.
+ * @param {Object} body - Response body
+ * @param {Function} createId - Function that returns a new tool use ID
+ * @returns {Object} The LLMResponse
+ */
+export function fromOllamaResponse(body, createId) {
+  const message = body.message;
+  const toolCalls = (message.tool_calls || []).map(toolCall => ({
+    toolUseId: createId(),
+    name: toolCall.function.name,
+    input: typeof toolCall.function.arguments === 'string'
+      ? parseArguments(toolCall.function.arguments)
+      : toolCall.function.arguments
+  }));
+
+  return createResponse(
+    message.content || '',
+    toolCalls,
+    (body.prompt_eval_count || 0) + (body.eval_count || 0)
+  );
+}
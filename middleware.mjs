@@ -0,0 +1,132 @@
+/**
+ * Hooks a middleware can implement
+ */
+export const MiddlewareHook = {
+  BEFORE_LLM: 'beforeLLM',
+  AFTER_LLM: 'afterLLM',
+  BEFORE_TOOL: 'beforeTool',
+  AFTER_TOOL: 'afterTool'
+};
+
+/**
+ * Ordered list of middleware that can rewrite or block what flows through
+ * the agent. Unlike events, every hook is awaited and its return value is
+ * used, in registration order:
+ *
+ * - beforeLLM({ messages }, context) returns replacement messages
+ * - afterLLM({ messages, response }, context) returns a replacement response
+ * - beforeTool({ toolUseId, toolName, input }, context) returns
+ *   { input } to change the input, { result } to skip execution with that
+ *   result, or { deny: reason } to veto the call
+ * - afterTool({ toolUseId, toolName, input, result }, context) returns a replacement result
+ *
+ * Returning undefined keeps the value unchanged. The context is { signal }.
+ */
+export class MiddlewarePipeline {
+  /**
+   * @param {Array<Object>} [middleware] - Middleware objects with one or more hook functions
+   */
+  constructor(middleware = []) {
+    this.middleware = [];
+    for (const entry of middleware) {
+      this.use(entry);
+    }
+  }
+
+  /**
+   * Add a middleware at the end of the pipeline
+   * @param {Object} middleware - Object with beforeLLM, afterLLM, beforeTool and/or afterTool functions
+   * @returns {Function} A function that removes the middleware
+   */
+  use(middleware) {
+    const hooks = Object.values(MiddlewareHook);
+    if (!middleware || !hooks.some(hook => typeof middleware[hook] === 'function')) {
+      throw new Error(`Middleware must implement at least one of ${hooks.join(', ')}`);
+    }
+
+    this.middleware.push(middleware);
+    return () => {
+      const index = this.middleware.indexOf(middleware);
+      if (index !== -1) {
+        this.middleware.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * Get the middleware implementing a hook, in order
+   * @param {string} hook - Hook name
+   * @returns {Array<Object>} Matching middleware
+   */
+  withHook(hook) {
+    return this.middleware.filter(middleware => typeof middleware[hook] === 'function');
+  }
+
+  /**
+   * Run the beforeLLM hooks
+   * @param {Array} messages - Messages about to be sent to the LLM
+   * @param {Object} context - Hook context
+   * @returns {Promise<Array>} The messages to send
+   */
+  async beforeLLM(messages, context) {
+    for (const middleware of this.withHook(MiddlewareHook.BEFORE_LLM)) {
+      messages = (await middleware.beforeLLM({ messages }, context)) ?? messages;
+    }
+    return messages;
+  }
+
+  /**
+   * Run the afterLLM hooks
+   * @param {Array} messages - Messages that were sent to the LLM
+   * @param {Object} response - LLM response
+   * @param {Object} context - Hook context
+   * @returns {Promise<Object>} The response to process
+   */
+  async afterLLM(messages, response, context) {
+    for (const middleware of this.withHook(MiddlewareHook.AFTER_LLM)) {
+      response = (await middleware.afterLLM({ messages, response }, context)) ?? response;
+    }
+    return response;
+  }
+
+  /**
+   * Run the beforeTool hooks until one of them returns a result or vetoes the call
+   * @param {Object} call - { toolUseId, toolName, input }
+   * @param {Object} context - Hook context
+   * @returns {Promise<Object>} { input } to execute, or { input, result } or { input, deny } to skip execution
+   */
+  async beforeTool(call, context) {
+    let input = call.input;
+
+    for (const middleware of this.withHook(MiddlewareHook.BEFORE_TOOL)) {
+      const outcome = await middleware.beforeTool({ ...call, input }, context);
+      if (!outcome) continue;
+
+      if (outcome.deny !== undefined) {
+        return { input, deny: typeof outcome.deny === 'string' ? outcome.deny : 'Tool use was blocked by middleware.' };
+      }
+      if (outcome.result !== undefined) {
+        return { input, result: outcome.result };
+      }
+      if (outcome.input !== undefined) {
+        input = outcome.input;
+      }
+    }
+
+    return { input };
+  }
+
+  /**
+   * Run the afterTool hooks
+   * @param {Object} call - { toolUseId, toolName, input, result }
+   * @param {Object} context - Hook context
+   * @returns {Promise<any>} The result to record
+   */
+  async afterTool(call, context) {
+    let result = call.result;
+    for (const middleware of this.withHook(MiddlewareHook.AFTER_TOOL)) {
+      result = (await middleware.afterTool({ ...call, result }, context)) ?? result;
+    }
+    return result;
+  }
+}
@@ -0,0 +1,106 @@
+import { createResponse } from './llm_provider.mjs';
+import { StreamChunkType } from './llm_stream.mjs';
+
+/**
+ * Turn a scripted entry into an LLMResponse
+ * @param {string|Object} entry - Scripted response
+ * @param {Function} createId - Function that returns a new tool use ID
+ * @returns {Object} The LLMResponse
+ */
+function toResponse(entry, createId) {
+  if (typeof entry === 'string') {
+    return createResponse(entry, [], 0);
+  }
+  if (entry.type) {
+    return entry;
+  }
+
+  const toolCalls = (entry.toolCalls || []).map(toolCall => ({
+    toolUseId: toolCall.toolUseId || createId(),
+    name: toolCall.name,
+    input: toolCall.input || {}
+  }));
+  return createResponse(entry.content || '', toolCalls, entry.totalTokens || 0);
+}
+
+/**
+ * Create a scripted LLM service that runs offline.
+ *
+ * Each call to invokeModel returns the next scripted response. An entry can be
+ * a string (assistant text), an object with content and/or toolCalls, a full
+ * LLMResponse with a type, an Error to throw, or a function called with
+ * (messages, callIndex) that returns any of these.
+ * @param {Object} [config] - Configuration object
+ * @param {Array} [config.responses] - Scripted responses in order
+ * @returns {Object} LLM service for createAgent, with calls and tools for assertions
+ */
+export function createMockLLM(config = {}) {
+  const responses = [...(config.responses || [])];
+  const calls = [];
+  let tools = [];
+  let nextToolUseId = 1;
+
+  const createId = () => `mock-tool-${nextToolUseId++}`;
+
+  return {
+    /**
+     * Messages sent to each invokeModel call
+     */
+    calls,
+
+    /**
+     * Tools registered by the agent
+     */
+    get tools() {
+      return tools;
+    },
+
+    /**
+     * Number of scripted responses not used yet
+     */
+    get remaining() {
+      return responses.length;
+    },
+
+    registerTools(registeredTools) {
+      tools = registeredTools;
+    },
+
+    async invokeModel(messages) {
+      const index = calls.length;
+      calls.push(structuredClone(messages));
+
+      if (responses.length === 0) {
+        throw new Error(`Mock LLM has no scripted response for call ${index + 1}`);
+      }
+
+      let entry = responses.shift();
+      if (typeof entry === 'function') {
+        entry = await entry(messages, index);
+      }
+      if (entry instanceof Error) {
+        throw entry;
+      }
+      return toResponse(entry, createId);
+    },
+
+    async *invokeModelStream(messages, options) {
+      const response = await this.invokeModel(messages, options);
+
+      for (const word of (response.content || '').split(/(?<=\s)/)) {
+        if (word) {
+          yield { type: StreamChunkType.TEXT_DELTA, text: word };
+        }
+      }
+      for (const toolCall of response.toolCalls || []) {
+        yield {
+          type: StreamChunkType.TOOL_INPUT_DELTA,
+          toolUseId: toolCall.toolUseId,
+          name: toolCall.name,
+          delta: JSON.stringify(toolCall.input)
+        };
+      }
+      yield { type: StreamChunkType.RESPONSE, response };
+    }
+  };
+}
@@ -0,0 +1,148 @@
+import { randomUUID } from 'crypto';
+import { toToolSpecs } from './llm_provider.mjs';
+import {
+  toAnthropicMessages,
+  toAnthropicTools,
+  toOpenAIMessages,
+  toOpenAITools,
+  toOllamaMessages,
+  fromAnthropicResponse,
+  fromOpenAIResponse,
+  fromOllamaResponse
+} from './message_format.mjs';
+
+/**
+ * POST a JSON body and return the parsed JSON response
+ * @param {string} url - Endpoint URL
+ * @param {Object} headers - Extra request headers
+ * @param {Object} body - Request body
+ * @param {AbortSignal} [signal] - Signal that aborts the request
+ * @returns {Promise<Object>} The response body
+ * @throws {Error} With a status property, and retryAfter in milliseconds when the server sent a Retry-After header
+ */
+async function postJson(url, headers, body, signal) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok) {
+    const text = await response.text();
+    const error = new Error(`Request to ${url} failed with status ${response.status}: ${text}`);
+    error.status = response.status;
+    const retryAfter = Number(response.headers.get('retry-after'));
+    if (retryAfter > 0) {
+      error.retryAfter = retryAfter * 1000;
+    }
+    throw error;
+  }
+
+  return await response.json();
+}
+
+/**
+ * Create an LLM service for the Anthropic Messages API
+ * @param {Object} config - Configuration object
+ * @param {string} config.model - Model ID
+ * @param {string} [config.apiKey=process.env.ANTHROPIC_API_KEY] - API key
+ * @param {string} [config.baseUrl='https://api.anthropic.com'] - API base URL
+ * @param {number} [config.maxTokens=4096] - Maximum tokens to generate
+ * @returns {Object} LLM service for createAgent
+ */
+export function createAnthropicLLM(config) {
+  const baseUrl = config.baseUrl || 'https://api.anthropic.com';
+  const apiKey = config.apiKey || process.env.ANTHROPIC_API_KEY;
+  let tools = [];
+
+  return {
+    registerTools(registeredTools) {
+      tools = toAnthropicTools(toToolSpecs(registeredTools));
+    },
+
+    async invokeModel(messages, options = {}) {
+      const { system, messages: anthropicMessages } = toAnthropicMessages(messages);
+      const body = await postJson(
+        `${baseUrl}/v1/messages`,
+        { 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' },
+        {
+          model: config.model,
+          max_tokens: config.maxTokens || 4096,
+          system: system || undefined,
+          messages: anthropicMessages,
+          tools: tools.length > 0 ? tools : undefined
+        },
+        options.signal
+      );
+      return fromAnthropicResponse(body);
+    }
+  };
+}
+
+/**
+ * Create an LLM service for the OpenAI chat completions API or a compatible server
+ * @param {Object} config - Configuration object
+ * @param {string} config.model - Model ID
+ * @param {string} [config.apiKey=process.env.OPENAI_API_KEY] - API key
+ * @param {string} [config.baseUrl='https://api.openai.com/v1'] - API base URL
+ * @returns {Object} LLM service for createAgent
+ */
+export function createOpenAILLM(config) {
+  const baseUrl = config.baseUrl || 'https://api.openai.com/v1';
+  const apiKey = config.apiKey || process.env.OPENAI_API_KEY;
+  let tools = [];
+
+  return {
+    registerTools(registeredTools) {
+      tools = toOpenAITools(toToolSpecs(registeredTools));
+    },
+
+    async invokeModel(messages, options = {}) {
+      const body = await postJson(
+        `${baseUrl}/chat/completions`,
+        apiKey ? { authorization: `Bearer ${apiKey}` } : {},
+        {
+          model: config.model,
+          messages: toOpenAIMessages(messages),
+          tools: tools.length > 0 ? tools : undefined
+        },
+        options.signal
+      );
+      return fromOpenAIResponse(body);
+    }
+  };
+}
+
+/**
+ * Create an LLM service for a local Ollama server
+ * @param {Object} config - Configuration object
+ * @param {string} config.model - Model name
+ * @param {string} [config.baseUrl='http://localhost:11434'] - Server URL
+ * @returns {Object} LLM service for createAgent
+ */
+export function createOllamaLLM(config) {
+  const baseUrl = config.baseUrl || 'http://localhost:11434';
+  let tools = [];
+
+  return {
+    registerTools(registeredTools) {
+      tools = toOpenAITools(toToolSpecs(registeredTools));
+    },
+
+    async invokeModel(messages, options = {}) {
+      const body = await postJson(
+        `${baseUrl}/api/chat`,
+        {},
+        {
+          model: config.model,
+          messages: toOllamaMessages(messages),
+          tools: tools.length > 0 ? tools : undefined,
+          stream: false
+        },
+        options.signal
+      );
+      return fromOllamaResponse(body, randomUUID);
+    }
+  };
+}
@@ -0,0 +1,144 @@
+import { AbortError } from './errors.mjs';
+import { abortReason } from './cancellation.mjs';
+
+/**
+ * Default retry settings for LLM invocations
+ */
+export const DEFAULT_RETRY_OPTIONS = {
+  maxRetries: 3,
+  initialDelay: 1000,
+  maxDelay: 30000,
+  factor: 2
+};
+
+/**
+ * HTTP status codes worth retrying: request timeout, conflict and rate limit.
+ * Every 5xx status is retried as well.
+ */
+const RETRYABLE_STATUS = new Set([408, 409, 429]);
+
+/**
+ * Error names used by SDKs for throttling, timeouts and temporary outages
+ */
+const RETRYABLE_NAMES = new Set([
+  'ThrottlingException',
+  'TooManyRequestsException',
+  'ServiceUnavailableException',
+  'InternalServerException',
+  'ModelNotReadyException',
+  'TimeoutError'
+]);
+
+/**
+ * Network error codes of Node.js and undici
+ */
+const RETRYABLE_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_HEADERS_TIMEOUT'
+]);
+
+/**
+ * Decide whether a failed LLM invocation is worth retrying.
+ * Throttling, timeouts, network failures and 5xx responses are retryable.
+ * Aborts and other errors, such as invalid requests or authentication
+ * failures, are fatal.
+ * @param {Error} error - The error thrown by the LLM service
+ * @returns {boolean} Whether the call should be retried
+ */
+export function isRetryableError(error) {
+  if (!error || error instanceof AbortError) {
+    return false;
+  }
+
+  const status = error.status ?? error.statusCode ?? error.$metadata?.httpStatusCode;
+  if (typeof status === 'number') {
+    return status >= 500 || RETRYABLE_STATUS.has(status);
+  }
+
+  if (RETRYABLE_NAMES.has(error.name)) {
+    return true;
+  }
+  if (RETRYABLE_CODES.has(error.code) || RETRYABLE_CODES.has(error.cause?.code)) {
+    return true;
+  }
+  return /throttl|rate limit|overloaded|timed? ?out/i.test(error.message || '');
+}
+
+/**
+ * Get the delay before a retry: exponential backoff with jitter between half
+ * and the full delay. A retryAfter hint on the error is used when it is longer.
+ * @param {number} attempt - Number of the retry, starting at 1
+ * @param {Object} options - Retry options
+ * @param {Error} [error] - The error that caused the retry
+ * @returns {number} Delay in milliseconds
+ */
+export function retryDelay(attempt, options, error) {
+  const backoff = Math.min(options.maxDelay, options.initialDelay * options.factor ** (attempt - 1));
+  const delay = backoff / 2 + Math.random() * backoff / 2;
+  return Math.round(Math.max(delay, error?.retryAfter || 0));
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Signal that cancels the wait
+ * @returns {Promise<void>}
+ * @throws {AbortError} If the signal aborts before the delay has passed
+ */
+export function sleep(ms, signal) {
+  if (signal?.aborted) {
+    return Promise.reject(abortReason(signal));
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortReason(signal));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Call a function until it succeeds, retrying retryable errors with backoff
+ * @param {Function} fn - Async function called with the attempt number, starting at 1
+ * @param {Object} [options] - Retry options, see DEFAULT_RETRY_OPTIONS
+ * @param {Function} [options.isRetryable=isRetryableError] - Decide whether an error is retryable
+ * @param {Function} [options.onRetry] - Called with { attempt, delay, error } before each retry
+ * @param {AbortSignal} [options.signal] - Signal that cancels waiting between attempts
+ * @returns {Promise<any>} The result of fn
+ * @throws {Error} The last error, with retryable and attempts properties
+ */
+export async function withRetry(fn, options = {}) {
+  const settings = { ...DEFAULT_RETRY_OPTIONS, ...options };
+  const isRetryable = settings.isRetryable || isRetryableError;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      const retryable = !settings.signal?.aborted && isRetryable(error);
+      if (!retryable || attempt > settings.maxRetries) {
+        if (error && typeof error === 'object') {
+          error.retryable = retryable;
+          error.attempts = attempt;
+        }
+        throw error;
+      }
+
+      const delay = retryDelay(attempt, settings, error);
+      settings.onRetry?.({ attempt, delay, error });
+      await sleep(delay, settings.signal);
+    }
+  }
+}
@@ -0,0 +1,388 @@
+/**
+ * Simple string formats that can be checked with a regular expression
+ */
+const FORMATS = {
+  'date-time': /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i,
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  time: /^\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/i,
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  uri: /^[a-z][a-z0-9+.-]*:\S*$/i,
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+};
+
+/**
+ * Compiled schema patterns, keyed by pattern source. Invalid patterns map to
+ * the SyntaxError raised when compiling them.
+ */
+const compiledPatterns = new Map();
+
+/**
+ * Compile a schema pattern once and reuse it
+ * @param {string} pattern - Regular expression source from the schema
+ * @returns {RegExp|SyntaxError} The compiled pattern, or the error if it is invalid
+ */
+function compilePattern(pattern) {
+  if (!compiledPatterns.has(pattern)) {
+    let compiled;
+    try {
+      compiled = new RegExp(pattern, 'u');
+    } catch (error) {
+      compiled = error;
+    }
+    compiledPatterns.set(pattern, compiled);
+  }
+  return compiledPatterns.get(pattern);
+}
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {any} value - Value to inspect
+ * @returns {string} One of null, array, integer, number, string, boolean, object or undefined
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Check whether a value matches a JSON Schema type name
+ * @param {any} value - Value to check
+ * @param {string} type - JSON Schema type name
+ * @returns {boolean} Whether the value has the type
+ */
+function hasType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') {
+    return actual === 'number' || actual === 'integer';
+  }
+  return actual === type;
+}
+
+/**
+ * Compare two JSON values structurally
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {boolean} Whether the values are equal
+ */
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+    return false;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every(key => isEqual(a[key], b[key]));
+}
+
+/**
+ * Describe a value briefly for an error message
+ * @param {any} value - Value to describe
+ * @returns {string} Short description of the value
+ */
+function describe(value) {
+  const text = JSON.stringify(value);
+  if (text === undefined) return String(value);
+  return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+}
+
+/**
+ * Build the path of an object property
+ * @param {string} path - Path of the object
+ * @param {string} key - Property name
+ * @returns {string} Path of the property
+ */
+function propertyPath(path, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Resolve a local $ref such as #/definitions/Item or #/$defs/Item
+ * @param {Object} root - Root schema
+ * @param {string} ref - Reference to resolve
+ * @returns {Object} The referenced schema
+ */
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#')) {
+    throw new Error(`Unsupported schema reference: ${ref}`);
+  }
+  return ref
+    .slice(1)
+    .split('/')
+    .filter(Boolean)
+    .map(part => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((schema, part) => {
+      if (!schema || typeof schema !== 'object' || !Object.hasOwn(schema, part)) {
+        throw new Error(`Unresolvable schema reference: ${ref}`);
+      }
+      return schema[part];
+    }, root);
+}
+
+/**
+ * Validate a value against a JSON Schema.
+ *
+ * Supports type, enum, const, properties, required, additionalProperties,
+ * patternProperties, min/maxProperties, items (including tuples), min/maxItems,
+ * uniqueItems, minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf,
+ * min/maxLength, pattern, format, allOf, anyOf, oneOf, not and local $ref.
+ * @param {Object|boolean} schema - JSON Schema to validate against
+ * @param {any} value - Value to validate
+ * @param {string} [path='input'] - Path of the value, used in error messages
+ * @returns {Array<Object>} Errors of the form { path, message }, empty when the value is valid
+ */
+export function validateSchema(schema, value, path = 'input') {
+  return validateNode(schema, value, path, schema);
+}
+
+/**
+ * Validate a value against a schema node
+ * @param {Object|boolean} schema - Schema node
+ * @param {any} value - Value to validate
+ * @param {string} path - Path of the value
+ * @param {Object} root - Root schema for $ref resolution
+ * @returns {Array<Object>} Validation errors
+ */
+function validateNode(schema, value, path, root) {
+  if (schema === true || schema === undefined) return [];
+  if (schema === false) {
+    return [{ path, message: 'is not allowed' }];
+  }
+
+  if (schema.$ref) {
+    return validateNode(resolveRef(root, schema.$ref), value, path, root);
+  }
+
+  const errors = [];
+  const error = message => errors.push({ path, message });
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => hasType(value, type))) {
+      error(`expected ${types.join(' or ')}, got ${typeOf(value)} ${describe(value)}`);
+      // Further keywords would only repeat the type mismatch
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => isEqual(option, value))) {
+    error(`must be one of: ${schema.enum.map(describe).join(', ')}`);
+  }
+  if (schema.const !== undefined && !isEqual(schema.const, value)) {
+    error(`must be ${describe(schema.const)}`);
+  }
+
+  switch (typeOf(value)) {
+    case 'string':
+      errors.push(...validateString(schema, value, path));
+      break;
+    case 'integer':
+    case 'number':
+      errors.push(...validateNumber(schema, value, path));
+      break;
+    case 'array':
+      errors.push(...validateArray(schema, value, path, root));
+      break;
+    case 'object':
+      errors.push(...validateObject(schema, value, path, root));
+      break;
+  }
+
+  if (schema.allOf) {
+    for (const subschema of schema.allOf) {
+      errors.push(...validateNode(subschema, value, path, root));
+    }
+  }
+  if (schema.anyOf) {
+    const results = schema.anyOf.map(subschema => validateNode(subschema, value, path, root));
+    if (!results.some(result => result.length === 0)) {
+      error(`must match at least one of the allowed schemas (${results.map(result => result[0].message).join('; ')})`);
+    }
+  }
+  if (schema.oneOf) {
+    const results = schema.oneOf.map(subschema => validateNode(subschema, value, path, root));
+    const matches = results.filter(result => result.length === 0).length;
+    if (matches === 0) {
+      error(`must match exactly one of the allowed schemas (${results.map(result => result[0].message).join('; ')})`);
+    } else if (matches > 1) {
+      error(`must match exactly one of the allowed schemas, but matches ${matches}`);
+    }
+  }
+  if (schema.not && validateNode(schema.not, value, path, root).length === 0) {
+    error('must not match the disallowed schema');
+  }
+
+  return errors;
+}
+
+/**
+ * Validate string keywords
+ */
+function validateString(schema, value, path) {
+  const errors = [];
+  const length = [...value].length;
+
+  if (schema.minLength !== undefined && length < schema.minLength) {
+    errors.push({ path, message: `must be at least ${schema.minLength} characters long, got ${length}` });
+  }
+  if (schema.maxLength !== undefined && length > schema.maxLength) {
+    errors.push({ path, message: `must be at most ${schema.maxLength} characters long, got ${length}` });
+  }
+  if (schema.pattern !== undefined) {
+    const pattern = compilePattern(schema.pattern);
+    if (pattern instanceof Error) {
+      errors.push({ path, message: `has an invalid schema pattern ${schema.pattern}: ${pattern.message}` });
+    } else if (!pattern.test(value)) {
+      errors.push({ path, message: `must match pattern ${schema.pattern}` });
+    }
+  }
+  if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+    errors.push({ path, message: `must be a valid ${schema.format}` });
+  }
+  return errors;
+}
+
+/**
+ * Validate number keywords
+ */
+function validateNumber(schema, value, path) {
+  const errors = [];
+
+  // Draft 4 uses booleans for exclusiveMinimum and exclusiveMaximum
+  const exclusiveMinimum = schema.exclusiveMinimum === true ? schema.minimum : schema.exclusiveMinimum;
+  const exclusiveMaximum = schema.exclusiveMaximum === true ? schema.maximum : schema.exclusiveMaximum;
+  const minimum = schema.exclusiveMinimum === true ? undefined : schema.minimum;
+  const maximum = schema.exclusiveMaximum === true ? undefined : schema.maximum;
+
+  if (minimum !== undefined && value < minimum) {
+    errors.push({ path, message: `must be >= ${minimum}, got ${value}` });
+  }
+  if (maximum !== undefined && value > maximum) {
+    errors.push({ path, message: `must be <= ${maximum}, got ${value}` });
+  }
+  if (typeof exclusiveMinimum === 'number' && value <= exclusiveMinimum) {
+    errors.push({ path, message: `must be > ${exclusiveMinimum}, got ${value}` });
+  }
+  if (typeof exclusiveMaximum === 'number' && value >= exclusiveMaximum) {
+    errors.push({ path, message: `must be < ${exclusiveMaximum}, got ${value}` });
+  }
+  if (schema.multipleOf !== undefined) {
+    const quotient = value / schema.multipleOf;
+    if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+      errors.push({ path, message: `must be a multiple of ${schema.multipleOf}, got ${value}` });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validate array keywords
+ */
+function validateArray(schema, value, path, root) {
+  const errors = [];
+
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    errors.push({ path, message: `must have at least ${schema.minItems} items, got ${value.length}` });
+  }
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    errors.push({ path, message: `must have at most ${schema.maxItems} items, got ${value.length}` });
+  }
+  if (schema.uniqueItems) {
+    const duplicate = value.findIndex((item, index) =>
+      value.slice(0, index).some(other => isEqual(other, item))
+    );
+    if (duplicate !== -1) {
+      errors.push({ path: `${path}[${duplicate}]`, message: 'is a duplicate, items must be unique' });
+    }
+  }
+
+  const tuple = schema.prefixItems || (Array.isArray(schema.items) ? schema.items : null);
+  const rest = tuple
+    ? (schema.prefixItems ? schema.items : schema.additionalItems)
+    : schema.items;
+
+  value.forEach((item, index) => {
+    const itemSchema = tuple && index < tuple.length ? tuple[index] : rest;
+    errors.push(...validateNode(itemSchema, item, `${path}[${index}]`, root));
+  });
+  return errors;
+}
+
+/**
+ * Validate object keywords
+ */
+function validateObject(schema, value, path, root) {
+  const errors = [];
+  const properties = schema.properties || {};
+  const keys = Object.keys(value);
+
+  for (const key of schema.required || []) {
+    if (!Object.hasOwn(value, key)) {
+      errors.push({ path: propertyPath(path, key), message: 'is required' });
+    }
+  }
+  if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+    errors.push({ path, message: `must have at least ${schema.minProperties} properties, got ${keys.length}` });
+  }
+  if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+    errors.push({ path, message: `must have at most ${schema.maxProperties} properties, got ${keys.length}` });
+  }
+
+  const patterns = [];
+  for (const [source, subschema] of Object.entries(schema.patternProperties || {})) {
+    const pattern = compilePattern(source);
+    if (pattern instanceof Error) {
+      errors.push({ path, message: `has an invalid schema pattern ${source}: ${pattern.message}` });
+    } else {
+      patterns.push([pattern, subschema]);
+    }
+  }
+
+  for (const key of keys) {
+    const childPath = propertyPath(path, key);
+    let known = false;
+
+    if (Object.hasOwn(properties, key)) {
+      known = true;
+      errors.push(...validateNode(properties[key], value[key], childPath, root));
+    }
+    for (const [pattern, subschema] of patterns) {
+      if (pattern.test(key)) {
+        known = true;
+        errors.push(...validateNode(subschema, value[key], childPath, root));
+      }
+    }
+
+    if (!known && schema.additionalProperties !== undefined) {
+      if (schema.additionalProperties === false) {
+        const allowed = Object.keys(properties);
+        errors.push({
+          path: childPath,
+          message: allowed.length > 0
+            ? `is not an allowed property (allowed: ${allowed.join(', ')})`
+            : 'is not an allowed property'
+        });
+      } else {
+        errors.push(...validateNode(schema.additionalProperties, value[key], childPath, root));
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Format validation errors as a message the model can act on
+ * @param {Array<Object>} errors - Errors from validateSchema
+ * @param {string} [title='Invalid input:'] - First line of the message
+ * @returns {string} Human and model readable error message
+ */
+export function formatSchemaErrors(errors, title = 'Invalid input:') {
+  return [
+    title,
+    ...errors.map(({ path, message }) => `- ${path}: ${message}`)
+  ].join('\n');
+}
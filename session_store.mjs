@@ -0,0 +1,49 @@
+import { readFile, writeFile } from 'fs/promises';
+import { extname } from 'path';
+import { parseJsonLines } from './jsonl.mjs';
+
+/**
+ * Check whether a file path should use the JSONL format
+ * @param {string} filePath - Path of the session file
+ * @returns {boolean} Whether the file is a JSONL file
+ */
+function isJsonl(filePath) {
+  return extname(filePath).toLowerCase() === '.jsonl';
+}
+
+/**
+ * Save a serialized conversation to disk.
+ *
+ * `.jsonl` files hold a header line with everything except the messages,
+ * followed by one message per line. Any other extension is written as a
+ * single JSON document.
+ * @param {string} filePath - Path of the session file
+ * @param {Object} data - Serialized conversation from ConversationManager#toJSON
+ * @returns {Promise<void>}
+ */
+export async function saveConversation(filePath, data) {
+  if (isJsonl(filePath)) {
+    const { messages, ...header } = data;
+    const lines = [header, ...messages].map(line => JSON.stringify(line));
+    await writeFile(filePath, lines.join('\n') + '\n', 'utf8');
+    return;
+  }
+
+  await writeFile(filePath, JSON.stringify(data, null, 2), 'utf8');
+}
+
+/**
+ * Load a serialized conversation from disk
+ * @param {string} filePath - Path of the session file
+ * @returns {Promise<Object>} Serialized conversation for ConversationManager#load
+ */
+export async function loadConversation(filePath) {
+  const text = await readFile(filePath, 'utf8');
+
+  if (isJsonl(filePath)) {
+    const [header, ...messages] = parseJsonLines(text, filePath);
+    return { ...header, messages };
+  }
+
+  return JSON.parse(text);
+}
@@ -0,0 +1,58 @@
+import { validateSchema, formatSchemaErrors } from './schema_validator.mjs';
+
+/**
+ * Build the instruction that asks the model to answer with JSON matching a schema
+ * @param {Object} schema - JSON Schema of the answer
+ * @returns {string} The instruction
+ */
+export function buildOutputInstruction(schema) {
+  return 'Answer with a single JSON value that matches the following JSON Schema. ' +
+    'Do not add any text before or after the JSON.\n' +
+    JSON.stringify(schema, null, 2);
+}
+
+/**
+ * Build the message that sends validation errors back to the model
+ * @param {string} error - Why the previous answer was rejected
+ * @returns {string} The message
+ */
+export function buildOutputRetryMessage(error) {
+  return `Your answer does not match the required format.\n${error}\n` +
+    'Answer again with only the corrected JSON.';
+}
+
+/**
+ * Parse the JSON in an assistant answer. Markdown code fences around the JSON are ignored.
+ * @param {string} text - Assistant answer
+ * @returns {any} The parsed value
+ * @throws {SyntaxError} If the answer is not valid JSON
+ */
+export function parseJsonAnswer(text) {
+  const fenced = text.trim().match(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/i);
+  return JSON.parse(fenced ? fenced[1] : text);
+}
+
+/**
+ * Parse an assistant answer and validate it against a schema
+ * @param {Object} schema - JSON Schema of the answer
+ * @param {string} text - Assistant answer
+ * @returns {Object} { ok: true, value } or { ok: false, error, errors }
+ */
+export function parseStructuredOutput(schema, text) {
+  let value;
+  try {
+    value = parseJsonAnswer(String(text));
+  } catch (error) {
+    return {
+      ok: false,
+      error: `The answer is not valid JSON: ${error.message}`,
+      errors: [{ path: 'output', message: error.message }]
+    };
+  }
+
+  const errors = validateSchema(schema, value, 'output');
+  if (errors.length > 0) {
+    return { ok: false, error: formatSchemaErrors(errors, 'Invalid output:'), errors };
+  }
+  return { ok: true, value };
+}
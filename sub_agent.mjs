@@ -0,0 +1,171 @@
+import { Tool } from './tool.mjs';
+import { createAgent, HANDLER_EVENTS } from './index.mjs';
+import { AbortError } from './errors.mjs';
+
+/**
+ * Default parameters of an agent tool
+ */
+const DEFAULT_PARAMETERS = {
+  type: 'object',
+  properties: {
+    task: {
+      type: 'string',
+      description: 'The task for the sub-agent, with all the context it needs'
+    }
+  },
+  required: ['task']
+};
+
+/**
+ * Time in milliseconds a child's tool confirmation may wait for an answer before it is denied
+ */
+const DEFAULT_CONFIRMATION_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * Deny tool calls of a child agent that waited for confirmation
+ * @param {Object} child - Child agent
+ * @param {Array<Object>} calls - Pending confirmations of the child
+ * @param {AbortSignal} [signal] - Signal of the parent's tool call
+ * @returns {Promise<void>}
+ */
+async function denyAll(child, calls, signal) {
+  for (const { toolUseId } of calls) {
+    await child.handleToolConfirmation(toolUseId, false, { signal });
+  }
+}
+
+/**
+ * Wrap an agent configuration as a Tool that a parent agent can call.
+ *
+ * Every call creates a new child agent from the configuration, so each call
+ * has its own isolated conversation. The child's events are forwarded to the
+ * parent's event bus as `<namespace>:<event>` and as a `subAgent` event of the
+ * form { namespace, event, data }. Forwarded toolConfirmation events carry a
+ * `respond(confirmed, options)` function, and the call waits until every
+ * confirmation of the child has been answered. Confirmations are denied at
+ * once when the parent has no `<namespace>:toolConfirmation` listener and no
+ * other listener responded while the event was delivered, and confirmations
+ * that are not answered within confirmationTimeout are denied. Pattern and
+ * `subAgent` listeners, such as a Tracer, do not make a confirmation
+ * answerable on their own.
+ * @param {Object} config - Tool configuration
+ * @param {string} config.name - Tool name
+ * @param {string} config.description - What the sub-agent does, shown to the parent model
+ * @param {Object} config.agent - createAgent configuration of the child (system, llm, tools, ...)
+ * @param {string} [config.namespace=config.name] - Prefix of forwarded event names
+ * @param {Object} [config.parameters] - JSON Schema of the input, defaults to { task }
+ * @param {Function} [config.getTask] - Build the child's user message from the input, defaults to input.task
+ * @param {Function} [config.requiresAcceptance] - Whether a call needs confirmation in the parent
+ * @param {number} [config.confirmationTimeout=300000] - Milliseconds to wait for an answer to a child's confirmation, Infinity to wait indefinitely
+ * @returns {Tool} A tool instance
+ */
+export function createAgentTool(config) {
+  const namespace = config.namespace || config.name;
+  const getTask = config.getTask || (params => params.task);
+  const confirmationTimeout = config.confirmationTimeout ?? DEFAULT_CONFIRMATION_TIMEOUT;
+
+  return new class extends Tool {
+    getName() {
+      return config.name;
+    }
+
+    getDescription() {
+      return config.description;
+    }
+
+    getParameters() {
+      return config.parameters || DEFAULT_PARAMETERS;
+    }
+
+    validate(params) {
+      if (typeof getTask(params) !== 'string' || getTask(params).trim() === '') {
+        return { ok: false, error: 'A non-empty task is required' };
+      }
+      return { ok: true };
+    }
+
+    requiresAcceptance(params) {
+      return config.requiresAcceptance ? config.requiresAcceptance(params) : false;
+    }
+
+    async execute(params, context = {}) {
+      const child = createAgent(config.agent);
+      const emit = context.emit || (() => []);
+      const listenerCount = context.listenerCount || (() => 0);
+      const unanswerable = new Set();
+      let wake = () => {};
+
+      const forward = (event, data) => {
+        emit(`${namespace}:${event}`, data);
+        emit('subAgent', {
+          timestamp: Date.now(),
+          namespace,
+          toolUseId: context.toolUseId,
+          event,
+          data
+        });
+      };
+
+      const handlers = {};
+      for (const [key, event] of Object.entries(HANDLER_EVENTS)) {
+        handlers[key] = data => forward(event, data);
+      }
+      handlers.toolConfirmation = data => {
+        let responded = false;
+        forward('toolConfirmation', {
+          ...data,
+          respond: async (confirmed, options) => {
+            responded = true;
+            await child.handleToolConfirmation(data.toolUseId, confirmed, options);
+            wake();
+          }
+        });
+        if (!responded && listenerCount(`${namespace}:toolConfirmation`) === 0) {
+          unanswerable.add(data.toolUseId);
+        }
+      };
+      child.on(handlers);
+
+      const onAbort = () => wake();
+      context.signal?.addEventListener('abort', onAbort, { once: true });
+
+      try {
+        await child.run(getTask(params), { signal: context.signal });
+
+        // Wait for confirmations of the child to be answered through respond()
+        while (child.pendingConfirmations.length > 0) {
+          if (context.signal?.aborted) {
+            throw new AbortError();
+          }
+
+          // Nobody on the parent listens for these, so nobody will answer them
+          const unanswered = child.pendingConfirmations.filter(call => unanswerable.has(call.toolUseId));
+          if (unanswered.length > 0) {
+            await denyAll(child, unanswered, context.signal);
+            continue;
+          }
+
+          let timer;
+          const timedOut = await new Promise(resolve => {
+            wake = () => resolve(false);
+            if (Number.isFinite(confirmationTimeout)) {
+              timer = setTimeout(() => resolve(true), confirmationTimeout);
+            }
+          });
+          clearTimeout(timer);
+          wake = () => {};
+
+          if (timedOut) {
+            await denyAll(child, child.pendingConfirmations, context.signal);
+          }
+        }
+
+        const answers = child.messages.filter(message => message.type === 'assistant');
+        return { result: answers.length > 0 ? answers[answers.length - 1].content : '' };
+      } finally {
+        context.signal?.removeEventListener('abort', onAbort);
+        await child.shutdown();
+      }
+    }
+  };
+}
@@ -0,0 +1,163 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAgent, createMockLLM, createTool, ApprovalPolicy, Decision } from '../index.mjs';
+
+/**
+ * Create a tool that always needs confirmation and counts its executions
+ */
+function createDangerousTool() {
+  const tool = createTool({
+    name: 'delete_branch',
+    description: 'Delete a git branch',
+    parameters: {
+      type: 'object',
+      properties: { name: { type: 'string' } },
+      required: ['name']
+    },
+    requiresAcceptance: () => true,
+    execute: async ({ name }) => {
+      tool.executions++;
+      return `Deleted ${name}`;
+    }
+  });
+  tool.executions = 0;
+  return tool;
+}
+
+/**
+ * Create an agent whose first answer asks to run the dangerous tool
+ */
+function createConfirmingAgent(tool, responses = [], config = {}) {
+  return createAgent({
+    system: 'You manage a git repository',
+    llm: createMockLLM({
+      responses: [
+        { toolCalls: [{ toolUseId: 'delete-1', name: 'delete_branch', input: { name: 'old' } }] },
+        ...responses
+      ]
+    }),
+    tools: [tool],
+    ...config
+  });
+}
+
+describe('ApprovalPolicy', () => {
+  const safeTool = { requiresAcceptance: () => false };
+  const riskyTool = { requiresAcceptance: () => true };
+
+  it('applies the first matching rule', () => {
+    const policy = new ApprovalPolicy({
+      rules: [
+        { tool: 'git_*', when: input => input.force, decision: Decision.DENY },
+        { tool: 'git_*', decision: Decision.ASK },
+        { tool: /^read_/, decision: Decision.ALLOW }
+      ]
+    });
+
+    assert.equal(policy.evaluate({ name: 'git_push', input: { force: true } }, safeTool), Decision.DENY);
+    assert.equal(policy.evaluate({ name: 'git_push', input: {} }, safeTool), Decision.ASK);
+    assert.equal(policy.evaluate({ name: 'read_file', input: {} }, riskyTool), Decision.ALLOW);
+  });
+
+  it("falls back to the tool's requiresAcceptance and then to the default", () => {
+    const policy = new ApprovalPolicy({ default: Decision.DENY });
+
+    assert.equal(policy.evaluate({ name: 'rm', input: {} }, riskyTool), Decision.ASK);
+    assert.equal(policy.evaluate({ name: 'ls', input: {} }, safeTool), Decision.DENY);
+    assert.equal(
+      new ApprovalPolicy({ useToolAcceptance: false }).evaluate({ name: 'rm', input: {} }, riskyTool),
+      Decision.ALLOW
+    );
+  });
+
+  it('lets session allowances override ask but not deny rules', () => {
+    const policy = new ApprovalPolicy({
+      rules: [
+        { tool: 'shell', when: input => input.command.startsWith('sudo'), decision: Decision.DENY },
+        { tool: ['shell', 'fs_write'], decision: Decision.ASK }
+      ]
+    });
+    policy.allowForSession('shell');
+
+    assert.equal(policy.evaluate({ name: 'shell', input: { command: 'ls' } }, safeTool), Decision.ALLOW);
+    assert.equal(policy.evaluate({ name: 'shell', input: { command: 'sudo ls' } }, safeTool), Decision.DENY);
+    assert.equal(policy.evaluate({ name: 'fs_write', input: {} }, safeTool), Decision.ASK);
+
+    policy.clearSession();
+    assert.equal(policy.evaluate({ name: 'shell', input: { command: 'ls' } }, safeTool), Decision.ASK);
+  });
+
+  it('rejects rules with an unknown decision', () => {
+    assert.throws(() => new ApprovalPolicy({ rules: [{ tool: 'shell', decision: 'maybe' }] }), /Invalid approval rule decision: maybe/);
+  });
+});
+
+describe('Tool confirmations', () => {
+  it('wait for handleToolConfirmation and run the tool once confirmed', async () => {
+    const tool = createDangerousTool();
+    const agent = createConfirmingAgent(tool, ['The branch is gone.']);
+    const confirmations = [];
+    agent.on('toolConfirmation', event => confirmations.push(event.toolUseId));
+
+    await agent.run('Delete the old branch');
+    assert.deepEqual(confirmations, ['delete-1']);
+    assert.deepEqual(agent.pendingConfirmations.map(call => call.toolUseId), ['delete-1']);
+    assert.equal(tool.executions, 0);
+
+    await agent.handleToolConfirmation('delete-1', true);
+    assert.equal(tool.executions, 1);
+    assert.deepEqual(agent.pendingConfirmations, []);
+    assert.equal(agent.messages.at(-1).content, 'The branch is gone.');
+    await agent.shutdown();
+  });
+
+  it('add an error result when denied', async () => {
+    const tool = createDangerousTool();
+    const agent = createConfirmingAgent(tool, ['Keeping it.']);
+    const denied = [];
+    agent.on('toolDenied', event => denied.push(event.toolUseId));
+
+    await agent.run('Delete the old branch');
+    await agent.handleToolConfirmation('delete-1', false);
+
+    assert.equal(tool.executions, 0);
+    assert.deepEqual(denied, ['delete-1']);
+    const result = agent.messages.find(message => message.type === 'tool-result');
+    assert.equal(result.error, 'Tool use was cancelled by the user.');
+    await agent.shutdown();
+  });
+
+  it('are skipped for the rest of the session after an always answer', async () => {
+    const tool = createDangerousTool();
+    const agent = createConfirmingAgent(tool, [
+      'Deleted old.',
+      { toolCalls: [{ toolUseId: 'delete-2', name: 'delete_branch', input: { name: 'stale' } }] },
+      'Deleted stale.'
+    ]);
+
+    await agent.run('Delete the old branch');
+    await agent.handleToolConfirmation('delete-1', true, { always: true });
+    await agent.run('Delete the stale branch too');
+
+    assert.equal(tool.executions, 2);
+    assert.deepEqual(agent.pendingConfirmations, []);
+    assert.equal(agent.messages.at(-1).content, 'Deleted stale.');
+    await agent.shutdown();
+  });
+
+  it('are never requested for calls the policy denies', async () => {
+    const tool = createDangerousTool();
+    const agent = createConfirmingAgent(tool, ['I may not delete it.'], {
+      approvalPolicy: { rules: [{ tool: 'delete_*', decision: Decision.DENY }] }
+    });
+    const confirmations = [];
+    agent.on('toolConfirmation', event => confirmations.push(event.toolUseId));
+
+    assert.equal(await agent.run('Delete the old branch'), 'I may not delete it.');
+    assert.equal(tool.executions, 0);
+    assert.deepEqual(confirmations, []);
+    const result = agent.messages.find(message => message.type === 'tool-result');
+    assert.equal(result.error, 'Tool use was denied by the approval policy.');
+    await agent.shutdown();
+  });
+});
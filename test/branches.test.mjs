@@ -0,0 +1,92 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAgent, createMockLLM, createTool } from '../index.mjs';
+
+/**
+ * Create a tool that always needs confirmation and counts its executions
+ */
+function createDangerousTool() {
+  const tool = createTool({
+    name: 'delete_branch',
+    description: 'Delete a git branch',
+    parameters: {
+      type: 'object',
+      properties: { name: { type: 'string' } },
+      required: ['name']
+    },
+    requiresAcceptance: () => true,
+    execute: async ({ name }) => {
+      tool.executions++;
+      return `Deleted ${name}`;
+    }
+  });
+  tool.executions = 0;
+  return tool;
+}
+
+describe('Branches', () => {
+  it('keep the previous answer when retrying', async () => {
+    const agent = createAgent({
+      system: 'You write haiku',
+      llm: createMockLLM({ responses: ['First haiku', 'Second haiku'] })
+    });
+    const branches = [];
+    agent.on('branchChanged', event => branches.push(event.branch));
+
+    assert.equal(await agent.run('Write a haiku'), 'First haiku');
+    assert.equal(await agent.retry({ branch: 'again' }), 'Second haiku');
+    assert.deepEqual(branches, ['again']);
+    assert.equal(agent.currentBranch, 'again');
+
+    agent.switchBranch('main');
+    assert.equal(agent.messages.at(-1).content, 'First haiku');
+    await agent.shutdown();
+  });
+
+  it('edit a user message on a new branch', async () => {
+    const agent = createAgent({
+      system: 'You write poems',
+      llm: createMockLLM({ responses: ['A haiku', 'A sonnet'] })
+    });
+
+    await agent.run('Write a haiku');
+    const first = agent.messages.find(message => message.type === 'user');
+    assert.equal(await agent.edit(first.id, 'Write a sonnet', { branch: 'formal' }), 'A sonnet');
+    assert.deepEqual(
+      agent.messages.filter(message => message.type === 'user').map(message => message.content),
+      ['Write a sonnet']
+    );
+
+    agent.switchBranch('main');
+    assert.equal(agent.messages.at(-1).content, 'A haiku');
+    await agent.shutdown();
+  });
+
+  it('keep pending confirmations separately', async () => {
+    const tool = createDangerousTool();
+    const agent = createAgent({
+      system: 'You manage a git repository',
+      llm: createMockLLM({
+        responses: [
+          { toolCalls: [{ toolUseId: 'delete-1', name: 'delete_branch', input: { name: 'old' } }] },
+          'Keeping it.'
+        ]
+      }),
+      tools: [tool]
+    });
+
+    await agent.run('Delete the old branch');
+    agent.fork('cautious');
+    await agent.handleToolConfirmation('delete-1', false);
+    assert.deepEqual(agent.pendingConfirmations, []);
+
+    agent.switchBranch('main');
+    assert.deepEqual(agent.pendingConfirmations.map(call => call.toolUseId), ['delete-1']);
+
+    // Resuming main must not run the call that was denied on the other branch
+    await agent.resume();
+    assert.equal(tool.executions, 0);
+    assert.deepEqual(agent.pendingConfirmations.map(call => call.toolUseId), ['delete-1']);
+    await agent.shutdown();
+  });
+});
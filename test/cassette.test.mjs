@@ -0,0 +1,142 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  createAgent,
+  createMockLLM,
+  createTool,
+  Cassette,
+  CassetteMode,
+  CassetteMismatchError,
+  LLMError
+} from '../index.mjs';
+
+/**
+ * Create a weather tool that counts its executions
+ */
+function createWeatherTool() {
+  const tool = createTool({
+    name: 'get_weather',
+    description: 'Get the weather of a city',
+    parameters: {
+      type: 'object',
+      properties: { city: { type: 'string' } },
+      required: ['city']
+    },
+    execute: async ({ city }) => {
+      tool.executions++;
+      return { city, forecast: 'sunny' };
+    }
+  });
+  tool.executions = 0;
+  return tool;
+}
+
+/**
+ * Record a run that calls the weather tool once and answers
+ */
+async function record(path) {
+  const cassette = await Cassette.open(path, { mode: CassetteMode.RECORD });
+  const llm = createMockLLM({
+    responses: [
+      { toolCalls: [{ name: 'get_weather', input: { city: 'Paris' } }] },
+      'It is sunny in Paris.'
+    ]
+  });
+  const agent = createAgent(cassette.wrapConfig({
+    system: 'You are a helpful assistant',
+    llm,
+    tools: [createWeatherTool()],
+    acceptAll: true
+  }));
+
+  const answer = await agent.run("What's the weather like in Paris?");
+  await cassette.close();
+  await agent.shutdown();
+  return answer;
+}
+
+describe('Cassette', () => {
+  let directory;
+  let path;
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'orange-agent-cassette-'));
+    path = join(directory, 'weather.json');
+    await record(path);
+  });
+
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('replays a recorded run without calling the LLM or the tools', async () => {
+    const cassette = await Cassette.open(path);
+    const tool = createWeatherTool();
+    const agent = createAgent(cassette.wrapConfig({
+      system: 'You are a helpful assistant',
+      tools: [tool],
+      acceptAll: true
+    }));
+
+    const answer = await agent.run("What's the weather like in Paris?");
+
+    assert.equal(answer, 'It is sunny in Paris.');
+    assert.equal(tool.executions, 0);
+    assert.deepEqual(
+      agent.messages.find(message => message.type === 'tool-result').content[0].toolResult.content[0].json,
+      { city: 'Paris', forecast: 'sunny' }
+    );
+    await cassette.close();
+    await agent.shutdown();
+  });
+
+  it('records in auto mode only when the file does not exist', async () => {
+    const replaying = await Cassette.open(path, { mode: CassetteMode.AUTO });
+    assert.equal(replaying.recording, false);
+
+    const recording = await Cassette.open(join(directory, 'missing.json'), { mode: CassetteMode.AUTO });
+    assert.equal(recording.recording, true);
+  });
+
+  it('fails the run when a request does not match the recording', async () => {
+    const cassette = await Cassette.open(path);
+    const agent = createAgent(cassette.wrapConfig({
+      system: 'You are a helpful assistant',
+      tools: [createWeatherTool()],
+      acceptAll: true
+    }));
+
+    await assert.rejects(agent.run("What's the weather like in Rome?"), error => {
+      assert.ok(error instanceof LLMError);
+      assert.ok(error.cause instanceof CassetteMismatchError);
+      assert.match(error.cause.message, /LLM request 1 does not match the cassette: message 2 differs/);
+      return true;
+    });
+    assert.throws(() => cassette.assertDone(), CassetteMismatchError);
+    await agent.shutdown();
+  });
+
+  it('reports recorded interactions the replay did not use', async () => {
+    const cassette = await Cassette.open(path);
+    cassette.wrapLLM();
+
+    assert.throws(() => cassette.assertDone(), {
+      name: 'CassetteMismatchError',
+      message: 'The replay did not use 2 LLM responses and 1 tool result of the cassette'
+    });
+  });
+
+  it('rejects tool calls that were not recorded', async () => {
+    const cassette = await Cassette.open(path);
+    const tool = cassette.wrapTool(createWeatherTool());
+
+    await assert.rejects(tool.execute({ city: 'Rome' }), {
+      name: 'CassetteMismatchError',
+      message: 'Tool call get_weather {"city":"Rome"} was not recorded'
+    });
+    assert.deepEqual(await tool.execute({ city: 'Paris' }), { city: 'Paris', forecast: 'sunny' });
+  });
+});
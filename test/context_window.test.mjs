@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAgent, createMockLLM, ContextOverflowError } from '../index.mjs';
+
+/**
+ * Create an agent with a context budget too small for two long questions
+ */
+function createSummarizingAgent(responses, limits) {
+  const llm = createMockLLM({ responses });
+  const agent = createAgent({
+    system: 'You answer questions',
+    llm,
+    limits,
+    context: { maxTokens: 80, keepRecentTurns: 1 }
+  });
+  return { agent, llm };
+}
+
+describe('Context window', () => {
+  it('summarizes older turns that do not fit', async () => {
+    const { agent, llm } = createSummarizingAgent(['Apples are red.', 'The user asked about apples.', 'Pears are green.']);
+    const summarized = [];
+    agent.on('contextSummarized', event => summarized.push(event.summarizedMessages));
+
+    await agent.run(`Tell me about apples. ${'a'.repeat(200)}`);
+    assert.equal(await agent.run(`Tell me about pears. ${'b'.repeat(100)}`), 'Pears are green.');
+
+    assert.deepEqual(summarized, [2]);
+    assert.equal(llm.calls.length, 3);
+    assert.deepEqual(agent.messages.map(message => message.type), ['system', 'info', 'user', 'assistant']);
+    assert.equal(agent.messages[1].content, 'Summary of the earlier conversation:\nThe user asked about apples.');
+    await agent.shutdown();
+  });
+
+  it('counts summaries toward maxLLMCalls and leaves turns out when no call is left', async () => {
+    const { agent, llm } = createSummarizingAgent(['Apples are red.', 'Pears are green.'], { maxLLMCalls: 1 });
+    const summarized = [];
+    agent.on('contextSummarized', event => summarized.push(event));
+
+    await agent.run(`Tell me about apples. ${'a'.repeat(200)}`);
+    assert.equal(await agent.run(`Tell me about pears. ${'b'.repeat(100)}`), 'Pears are green.');
+
+    assert.deepEqual(summarized, []);
+    assert.equal(llm.calls.length, 2);
+    assert.deepEqual(llm.calls[1].map(message => message.type), ['system', 'user']);
+    assert.equal(agent.messages.length, 5);
+    await agent.shutdown();
+  });
+
+  it('rejects the run when the last turn alone does not fit', async () => {
+    const { agent, llm } = createSummarizingAgent(['Never sent']);
+
+    await assert.rejects(agent.run('x'.repeat(1000)), ContextOverflowError);
+    assert.equal(llm.calls.length, 0);
+    await agent.shutdown();
+  });
+});
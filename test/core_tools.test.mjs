@@ -0,0 +1,73 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createCoreTools, isCommandAllowed } from '../index.mjs';
+
+const ALLOWED = ['ls', 'git status', 'git diff', /^npm (test|run lint)$/];
+
+describe('isCommandAllowed', () => {
+  it('allows listed commands, prefixes, patterns and chains of them', () => {
+    assert.equal(isCommandAllowed('ls', ALLOWED), true);
+    assert.equal(isCommandAllowed('ls -la src', ALLOWED), true);
+    assert.equal(isCommandAllowed('git status --short', ALLOWED), true);
+    assert.equal(isCommandAllowed('npm test', ALLOWED), true);
+    assert.equal(isCommandAllowed('git status && git diff | ls', ALLOWED), true);
+  });
+
+  it('rejects unlisted commands and look-alike prefixes', () => {
+    assert.equal(isCommandAllowed('rm -rf /', ALLOWED), false);
+    assert.equal(isCommandAllowed('lsof -i', ALLOWED), false);
+    assert.equal(isCommandAllowed('git push', ALLOWED), false);
+    assert.equal(isCommandAllowed('npm install', ALLOWED), false);
+    assert.equal(isCommandAllowed('ls; rm -rf /', ALLOWED), false);
+    assert.equal(isCommandAllowed('ls', []), false);
+  });
+
+  it('rejects environment assignments that can change what runs', () => {
+    assert.equal(isCommandAllowed('FOO=1 ls', ALLOWED), false);
+    assert.equal(isCommandAllowed('PATH=/tmp/evil ls', ALLOWED), false);
+    assert.equal(isCommandAllowed('GIT_SSH_COMMAND=sh git status', ALLOWED), false);
+    assert.equal(isCommandAllowed('LANG=C TZ=UTC ls', ALLOWED), true);
+  });
+
+  it('rejects substitutions, expansions, redirections and background jobs', () => {
+    assert.equal(isCommandAllowed('ls $(rm -rf /)', ALLOWED), false);
+    assert.equal(isCommandAllowed('ls `rm -rf /`', ALLOWED), false);
+    assert.equal(isCommandAllowed('ls ${HOME}', ALLOWED), false);
+    assert.equal(isCommandAllowed('ls $HOME', ALLOWED), false);
+    assert.equal(isCommandAllowed('ls > notes.txt', ALLOWED), false);
+    assert.equal(isCommandAllowed('ls < /etc/passwd', ALLOWED), false);
+    assert.equal(isCommandAllowed('ls & rm -rf /', ALLOWED), false);
+  });
+});
+
+describe('execute_bash', () => {
+  let directory;
+  let bash;
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'orange-agent-core-tools-'));
+    bash = createCoreTools({ roots: [directory], allowedCommands: ['echo'] })
+      .find(tool => tool.getName() === 'execute_bash');
+  });
+
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('asks for confirmation unless the command is allowlisted', () => {
+    assert.equal(bash.requiresAcceptance({ command: 'echo hello' }), false);
+    assert.equal(bash.requiresAcceptance({ command: 'echo $(whoami)' }), true);
+    assert.equal(bash.requiresAcceptance({ command: 'touch file' }), true);
+  });
+
+  it('runs the command in the workspace', async () => {
+    const result = await bash.execute({ command: 'echo hello && pwd' });
+
+    assert.equal(result.exitCode, 0);
+    assert.match(result.stdout, /^hello\n/);
+    assert.match(result.stdout, /orange-agent-core-tools-/);
+  });
+});
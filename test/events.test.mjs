@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAgent, createMockLLM } from '../index.mjs';
+
+describe('messagesRemoved', () => {
+  it('is emitted with the removed messages on undo', async () => {
+    const agent = createAgent({
+      system: 'You answer questions',
+      llm: createMockLLM({ responses: ['Four', 'Six'] })
+    });
+    const removed = [];
+    agent.on('messagesRemoved', event => removed.push(event));
+
+    await agent.run('2 + 2?');
+    await agent.run('3 + 3?');
+    const messages = agent.undo();
+
+    assert.deepEqual(messages.map(message => message.content), ['3 + 3?', 'Six']);
+    assert.equal(removed.length, 1);
+    assert.equal(removed[0].reason, 'undo');
+    assert.deepEqual(removed[0].messages, messages);
+    assert.equal(agent.messages.at(-1).content, 'Four');
+    await agent.shutdown();
+  });
+
+  it('is emitted with the summarized messages when older turns are summarized', async () => {
+    const agent = createAgent({
+      system: 'You answer questions',
+      llm: createMockLLM({ responses: ['Apples are red.', 'The user asked about apples.', 'Pears are green.'] }),
+      context: { maxTokens: 80, keepRecentTurns: 1 }
+    });
+    const removed = [];
+    agent.on('messagesRemoved', event => removed.push(event));
+
+    await agent.run(`Tell me about apples. ${'a'.repeat(200)}`);
+    const summarized = agent.messages.slice(1).map(message => message.id);
+    await agent.run(`Tell me about pears. ${'b'.repeat(100)}`);
+
+    assert.equal(removed.length, 1);
+    assert.equal(removed[0].reason, 'compact');
+    assert.deepEqual(removed[0].messages.map(message => message.id), summarized);
+    await agent.shutdown();
+  });
+
+  it('is not emitted when undo finds no turn to remove', async () => {
+    const agent = createAgent({ system: 'You answer questions', llm: createMockLLM() });
+    const removed = [];
+    agent.on('messagesRemoved', event => removed.push(event));
+
+    assert.deepEqual(agent.undo(), []);
+    assert.deepEqual(removed, []);
+    await agent.shutdown();
+  });
+});
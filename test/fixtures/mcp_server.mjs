@@ -0,0 +1,90 @@
+// Minimal MCP server for the tests, speaking newline-delimited JSON-RPC over stdio
+import { createInterface } from 'readline';
+
+const TOOLS = [
+  {
+    name: 'echo',
+    description: 'Echo a text',
+    inputSchema: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] },
+    annotations: { readOnlyHint: true }
+  },
+  {
+    name: 'fail',
+    description: 'Always fails',
+    inputSchema: { type: 'object', properties: {} }
+  },
+  {
+    name: 'slow',
+    description: 'Never answers',
+    inputSchema: { type: 'object', properties: {} },
+    annotations: { destructiveHint: true }
+  },
+  {
+    name: 'cancellations',
+    description: 'List the request IDs the client cancelled',
+    inputSchema: { type: 'object', properties: {} }
+  }
+];
+
+const cancelled = [];
+
+/**
+ * Write a JSON-RPC message to stdout
+ */
+function send(message) {
+  process.stdout.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n');
+}
+
+/**
+ * Answer a tools/call request
+ */
+function callTool(id, { name, arguments: args }) {
+  switch (name) {
+    case 'echo':
+      return send({ id, result: { content: [{ type: 'text', text: args.text }] } });
+    case 'fail':
+      return send({ id, result: { content: [{ type: 'text', text: 'Something broke' }], isError: true } });
+    case 'slow':
+      return;
+    case 'cancellations':
+      return send({ id, result: { content: [], structuredContent: { cancelled } } });
+    default:
+      return send({ id, error: { code: -32602, message: `Unknown tool: ${name}` } });
+  }
+}
+
+// Log lines that are not JSON-RPC must be ignored by the client
+process.stdout.write('stub MCP server ready\n');
+
+createInterface({ input: process.stdin }).on('line', line => {
+  const message = JSON.parse(line);
+
+  switch (message.method) {
+    case 'initialize':
+      return send({
+        id: message.id,
+        result: {
+          protocolVersion: message.params.protocolVersion,
+          capabilities: { tools: {} },
+          serverInfo: { name: 'stub', version: '1.0.0' }
+        }
+      });
+    case 'notifications/initialized':
+      return;
+    case 'notifications/cancelled':
+      cancelled.push(message.params.requestId);
+      return;
+    case 'tools/list':
+      // Two pages to exercise pagination
+      return send({
+        id: message.id,
+        result: message.params.cursor
+          ? { tools: TOOLS.slice(2) }
+          : { tools: TOOLS.slice(0, 2), nextCursor: 'page-2' }
+      });
+    case 'tools/call':
+      return callTool(message.id, message.params);
+    default:
+      return send({ id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } });
+  }
+});
@@ -0,0 +1,125 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { fileURLToPath } from 'url';
+import {
+  connectMcpServer,
+  createMcpTools,
+  McpClient,
+  McpError,
+  SseTransport
+} from '../index.mjs';
+
+const SERVER_PATH = fileURLToPath(new URL('./fixtures/mcp_server.mjs', import.meta.url));
+
+describe('MCP client over stdio', () => {
+  let client;
+
+  before(async () => {
+    client = await connectMcpServer({ command: process.execPath, args: [SERVER_PATH], requestTimeout: 5000 });
+  });
+
+  after(async () => {
+    await client.close();
+  });
+
+  it('initializes and reads the server info', () => {
+    assert.deepEqual(client.serverInfo, { name: 'stub', version: '1.0.0' });
+  });
+
+  it('lists tools across pages and wraps them', async () => {
+    const tools = await createMcpTools(client, { prefix: 'stub_' });
+
+    assert.deepEqual(tools.map(tool => tool.getName()), ['stub_echo', 'stub_fail', 'stub_slow', 'stub_cancellations']);
+    assert.equal(tools[0].isConcurrencySafe(), true);
+    assert.equal(tools[2].requiresAcceptance({}), true);
+    assert.match(tools[0].validate({}).error, /input\.text: is required/);
+  });
+
+  it('calls tools and turns tool errors into error results', async () => {
+    const [echo, fail] = await createMcpTools(client);
+
+    assert.deepEqual(await echo.execute({ text: 'hello' }), { result: 'hello' });
+    assert.deepEqual(await fail.execute({}), { error: 'Something broke' });
+  });
+
+  it('rejects JSON-RPC error responses with the error code', async () => {
+    await assert.rejects(client.request('resources/list'), error => {
+      assert.ok(error instanceof McpError);
+      assert.equal(error.message, 'Method not found: resources/list');
+      assert.equal(error.rpcCode, -32601);
+      return true;
+    });
+  });
+
+  it('cancels a request when the signal aborts', async () => {
+    const controller = new AbortController();
+    const call = client.callTool('slow', {}, { signal: controller.signal });
+    setTimeout(() => controller.abort(), 20);
+
+    await assert.rejects(call, { name: 'McpError', message: 'MCP request tools/call was aborted' });
+    const { structuredContent } = await client.callTool('cancellations', {});
+    assert.equal(structuredContent.cancelled.length, 1);
+  });
+
+  it('rejects at once when the signal is already aborted', async () => {
+    const pending = client.pending.size;
+
+    await assert.rejects(
+      client.callTool('echo', { text: 'too late' }, { signal: AbortSignal.abort() }),
+      { name: 'McpError', message: 'MCP request tools/call was aborted' }
+    );
+    assert.equal(client.pending.size, pending);
+  });
+});
+
+describe('MCP client over HTTP', () => {
+  let server;
+  let url;
+  let stream;
+
+  before(async () => {
+    server = createServer((request, response) => {
+      if (request.method === 'GET') {
+        stream = response;
+        response.writeHead(200, { 'content-type': 'text/event-stream' });
+        response.write('event: endpoint\ndata: /messages\n\n');
+        return;
+      }
+
+      let body = '';
+      request.on('data', chunk => { body += chunk; });
+      request.on('end', () => {
+        response.writeHead(202).end();
+        const message = JSON.parse(body);
+        if (message.id === undefined) return;
+
+        const reply = message.method === 'initialize'
+          ? { result: { protocolVersion: message.params.protocolVersion, capabilities: {}, serverInfo: { name: 'http-stub' } } }
+          : message.method === 'tools/call'
+            ? { result: { content: [{ type: 'text', text: message.params.arguments.text }] } }
+            : { error: { code: -32601, message: `Method not found: ${message.method}` } };
+        stream.write(`data: ${JSON.stringify({ jsonrpc: '2.0', id: message.id, ...reply })}\n\n`);
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/sse`;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('initializes, calls tools and reports errors', async () => {
+    const client = new McpClient(new SseTransport({ url }));
+    await client.connect();
+
+    assert.deepEqual(client.serverInfo, { name: 'http-stub' });
+    assert.deepEqual(await client.callTool('echo', { text: 'over http' }), { content: [{ type: 'text', text: 'over http' }] });
+    await assert.rejects(client.request('prompts/list'), { name: 'McpError', rpcCode: -32601 });
+
+    await client.close();
+    await assert.rejects(client.request('tools/list'), /MCP server disconnected: client closed the connection/);
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAgent, createMockLLM, createTool } from '../index.mjs';
+
+/**
+ * Create a shell tool that counts its executions
+ */
+function createShellTool() {
+  const tool = createTool({
+    name: 'shell',
+    description: 'Run a shell command',
+    parameters: {
+      type: 'object',
+      properties: { command: { type: 'string' } },
+      required: ['command']
+    },
+    execute: async ({ command }) => {
+      tool.executions++;
+      return `ran ${command}`;
+    }
+  });
+  tool.executions = 0;
+  return tool;
+}
+
+describe('Middleware', () => {
+  it('changes the input before the tool runs and the result after it', async () => {
+    const tool = createShellTool();
+    const agent = createAgent({
+      system: 'You run commands',
+      llm: createMockLLM({ responses: [{ toolCalls: [{ name: 'shell', input: { command: 'ls' } }] }, 'Done.'] }),
+      tools: [tool],
+      middleware: [{
+        beforeTool: ({ input }) => ({ input: { command: `${input.command} -la` } }),
+        afterTool: ({ result }) => ({ result: result.result.toUpperCase() })
+      }]
+    });
+    const starts = [];
+    agent.on('toolStart', event => starts.push(event.input));
+
+    await agent.run('List the files');
+
+    assert.deepEqual(starts, [{ command: 'ls -la' }]);
+    const result = agent.messages.find(message => message.type === 'tool-result');
+    assert.deepEqual(result.content[0].toolResult.content[0].json, { result: 'RAN LS -LA' });
+    await agent.shutdown();
+  });
+
+  it('skips afterTool and maxToolCalls for calls denied by beforeTool', async () => {
+    const tool = createShellTool();
+    const afterTool = [];
+    const agent = createAgent({
+      system: 'You run commands',
+      llm: createMockLLM({
+        responses: [
+          { toolCalls: [{ name: 'shell', input: { command: 'rm -rf /' } }] },
+          { toolCalls: [{ name: 'shell', input: { command: 'ls' } }] },
+          'Listed the files.'
+        ]
+      }),
+      tools: [tool],
+      limits: { maxToolCalls: 1 },
+      middleware: [{
+        beforeTool: ({ input }) => input.command.startsWith('rm') ? { deny: 'Deleting is not allowed' } : undefined,
+        afterTool: ({ input }) => { afterTool.push(input.command); }
+      }]
+    });
+    const events = [];
+    agent.on('toolDenied', event => events.push(['toolDenied', event.reason]));
+    agent.on('toolStart', event => events.push(['toolStart', event.input.command]));
+    agent.on('limitReached', event => events.push(['limitReached', event.limit]));
+    let end;
+    agent.on('end', event => { end = event; });
+
+    assert.equal(await agent.run('Clean up and list the files'), 'Listed the files.');
+
+    assert.deepEqual(events, [['toolDenied', 'Deleting is not allowed'], ['toolStart', 'ls']]);
+    assert.deepEqual(afterTool, ['ls']);
+    assert.equal(tool.executions, 1);
+    assert.equal(end.toolCalls, 1);
+    const denied = agent.messages.find(message => message.type === 'tool-result');
+    assert.equal(denied.error, 'Deleting is not allowed');
+    await agent.shutdown();
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createAgent,
+  createMockLLM,
+  isRetryableError,
+  AbortError,
+  LLMError,
+  StreamChunkType
+} from '../index.mjs';
+
+const FAST_RETRY = { maxRetries: 2, initialDelay: 1, maxDelay: 1 };
+
+/**
+ * Create an error as thrown by a provider SDK for an HTTP status
+ */
+function httpError(status, message = `Request failed with status ${status}`) {
+  return Object.assign(new Error(message), { status });
+}
+
+describe('isRetryableError', () => {
+  it('retries throttling, timeouts, network failures and 5xx responses', () => {
+    assert.equal(isRetryableError(httpError(429)), true);
+    assert.equal(isRetryableError(httpError(503)), true);
+    assert.equal(isRetryableError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })), true);
+    assert.equal(isRetryableError(Object.assign(new Error('Slow down'), { name: 'ThrottlingException' })), true);
+    assert.equal(isRetryableError(new Error('The model is overloaded')), true);
+  });
+
+  it('does not retry invalid requests, authentication failures or aborts', () => {
+    assert.equal(isRetryableError(httpError(400)), false);
+    assert.equal(isRetryableError(httpError(401, 'Request timed out while authenticating')), false);
+    assert.equal(isRetryableError(new AbortError()), false);
+    assert.equal(isRetryableError(new Error('Invalid model id')), false);
+  });
+});
+
+describe('LLM retries', () => {
+  it('retry retryable errors and emit a retry event per attempt', async () => {
+    const llm = createMockLLM({ responses: [httpError(503), httpError(429), 'Hello'] });
+    const agent = createAgent({ system: 'You greet people', llm, retry: FAST_RETRY });
+    const retries = [];
+    agent.on('retry', event => retries.push([event.attempt, event.model]));
+
+    assert.equal(await agent.run('Hi'), 'Hello');
+    assert.deepEqual(retries, [[1, 0], [2, 0]]);
+    await agent.shutdown();
+  });
+
+  it('move on to the fallback models when a model keeps failing', async () => {
+    const llm = createMockLLM({ responses: [httpError(503), httpError(503), httpError(503)] });
+    const fallback = createMockLLM({ responses: ['Hello from the fallback'] });
+    const agent = createAgent({ system: 'You greet people', llm, fallbackLLMs: [fallback], retry: FAST_RETRY });
+    const retries = [];
+    agent.on('retry', event => retries.push([event.attempt, event.model]));
+
+    assert.equal(await agent.run('Hi'), 'Hello from the fallback');
+    assert.deepEqual(retries, [[1, 0], [2, 0], [3, 1]]);
+    await agent.shutdown();
+  });
+
+  it('fail at once on fatal errors without trying the fallback models', async () => {
+    const fallback = createMockLLM({ responses: ['Never used'] });
+    const agent = createAgent({
+      system: 'You greet people',
+      llm: createMockLLM({ responses: [httpError(400, 'Invalid request')] }),
+      fallbackLLMs: [fallback],
+      retry: FAST_RETRY
+    });
+
+    await assert.rejects(agent.run('Hi'), error => {
+      assert.ok(error instanceof LLMError);
+      assert.equal(error.message, 'LLM invocation failed after 1 attempt: Invalid request');
+      assert.equal(error.cause.status, 400);
+      return true;
+    });
+    assert.equal(fallback.calls.length, 0);
+    await agent.shutdown();
+  });
+
+  it('report every attempt when all models fail', async () => {
+    const agent = createAgent({
+      system: 'You greet people',
+      llm: createMockLLM({ responses: [httpError(503), httpError(503), httpError(503)] }),
+      retry: FAST_RETRY
+    });
+
+    await assert.rejects(agent.run('Hi'), {
+      name: 'LLMError',
+      message: 'LLM invocation failed after 3 attempts: Request failed with status 503'
+    });
+    await agent.shutdown();
+  });
+
+  it('do not repeat a streamed call that failed after the first delta', async () => {
+    let calls = 0;
+    const llm = {
+      registerTools() {},
+      async invokeModel() {
+        throw new Error('Streaming only');
+      },
+      async *invokeModelStream() {
+        calls++;
+        yield { type: StreamChunkType.TEXT_DELTA, text: 'Hel' };
+        throw httpError(503);
+      }
+    };
+    const fallback = createMockLLM({ responses: ['Never used'] });
+    const agent = createAgent({ system: 'You greet people', llm, fallbackLLMs: [fallback], stream: true, retry: FAST_RETRY });
+    const deltas = [];
+    agent.on('assistantDelta', event => deltas.push(event.delta));
+
+    await assert.rejects(agent.run('Hi'), LLMError);
+    assert.equal(calls, 1);
+    assert.deepEqual(deltas, ['Hel']);
+    assert.equal(fallback.calls.length, 0);
+    await agent.shutdown();
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSchema, formatSchemaErrors } from '../index.mjs';
+
+describe('validateSchema', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 2 },
+      tags: { type: 'array', items: { type: 'string' } },
+      id: { $ref: '#/$defs/id' }
+    },
+    required: ['name'],
+    additionalProperties: false,
+    $defs: { id: { type: 'integer', minimum: 1 } }
+  };
+
+  it('accepts a valid value', () => {
+    assert.deepEqual(validateSchema(schema, { name: 'Ada', tags: ['math'], id: 1 }), []);
+  });
+
+  it('reports every error with the path of the value', () => {
+    assert.deepEqual(validateSchema(schema, { name: 'A', tags: ['math', 1], id: 0, extra: true }), [
+      { path: 'input.name', message: 'must be at least 2 characters long, got 1' },
+      { path: 'input.tags[1]', message: 'expected string, got integer 1' },
+      { path: 'input.id', message: 'must be >= 1, got 0' },
+      { path: 'input.extra', message: 'is not an allowed property (allowed: name, tags, id)' }
+    ]);
+  });
+
+  it('checks required properties on the object itself', () => {
+    const requiresToString = { type: 'object', required: ['toString'] };
+
+    assert.deepEqual(validateSchema(requiresToString, {}), [
+      { path: 'input.toString', message: 'is required' }
+    ]);
+    assert.deepEqual(validateSchema({ type: 'object', required: ['value'] }, { value: null }), []);
+  });
+
+  it('reports invalid schema patterns instead of throwing', () => {
+    assert.match(validateSchema({ type: 'string', pattern: '(' }, 'x')[0].message, /^has an invalid schema pattern \(/);
+  });
+
+  it('explains why no oneOf branch matched', () => {
+    assert.deepEqual(validateSchema({ oneOf: [{ type: 'string' }, { type: 'number' }] }, true), [{
+      path: 'input',
+      message: 'must match exactly one of the allowed schemas (expected string, got boolean true; expected number, got boolean true)'
+    }]);
+  });
+});
+
+describe('formatSchemaErrors', () => {
+  it('lists one error per line under the title', () => {
+    assert.equal(
+      formatSchemaErrors([{ path: 'input.name', message: 'is required' }]),
+      'Invalid input:\n- input.name: is required'
+    );
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAgent, createMockLLM, createTool, OutputValidationError } from '../index.mjs';
+
+const WEATHER_SCHEMA = {
+  type: 'object',
+  properties: {
+    city: { type: 'string' },
+    celsius: { type: 'number' }
+  },
+  required: ['city', 'celsius']
+};
+
+/**
+ * Create an agent that asks to run a tool needing confirmation before it answers
+ */
+function createPausingAgent(responses) {
+  const lookup = createTool({
+    name: 'lookup_weather',
+    description: 'Look up the weather',
+    parameters: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] },
+    requiresAcceptance: () => true,
+    execute: async ({ city }) => ({ city, celsius: 21 })
+  });
+  const llm = createMockLLM({
+    responses: [{ toolCalls: [{ name: 'lookup_weather', input: { city: 'Paris' } }] }, ...responses]
+  });
+  return { agent: createAgent({ system: 'You report the weather', llm, tools: [lookup] }), llm };
+}
+
+/**
+ * Wait for the next occurrence of an agent event
+ */
+function nextEvent(agent, eventName) {
+  return new Promise(resolve => agent.once(eventName, resolve));
+}
+
+describe('Structured output', () => {
+  it('sends invalid answers back and returns the parsed value', async () => {
+    const agent = createAgent({
+      system: 'You report the weather',
+      llm: createMockLLM({ responses: ['{"city": "Paris"}', '{"city": "Paris", "celsius": 21}'] })
+    });
+    const invalid = [];
+    agent.on('outputInvalid', event => invalid.push(event.attempt));
+
+    assert.deepEqual(await agent.run('Weather in Paris?', { outputSchema: WEATHER_SCHEMA }), { city: 'Paris', celsius: 21 });
+    assert.deepEqual(invalid, [1]);
+    await agent.shutdown();
+  });
+
+  it('waits for confirmations and validates the answer given after them', async () => {
+    const { agent } = createPausingAgent(['{"city": "Paris", "celsius": 21}']);
+    agent.on('toolConfirmation', event => {
+      setTimeout(() => agent.handleToolConfirmation(event.toolUseId, true), 10);
+    });
+
+    assert.deepEqual(await agent.run('Weather in Paris?', { outputSchema: WEATHER_SCHEMA }), { city: 'Paris', celsius: 21 });
+    await agent.shutdown();
+  });
+
+  it('rejects a run paused for confirmation when the agent is aborted', async () => {
+    const { agent } = createPausingAgent([]);
+    const paused = nextEvent(agent, 'end');
+    const run = agent.run('Weather in Paris?', { outputSchema: WEATHER_SCHEMA });
+    await paused;
+
+    await agent.abort();
+    await assert.rejects(run, error => {
+      assert.ok(error instanceof OutputValidationError);
+      assert.equal(error.message, 'The run stopped before the model gave a final answer');
+      return true;
+    });
+    await agent.shutdown();
+  });
+
+  it('does not send the instruction of a paused run with a later run', async () => {
+    const { agent, llm } = createPausingAgent(['It is nice out.']);
+    const confirmation = nextEvent(agent, 'toolConfirmation');
+    const paused = nextEvent(agent, 'end');
+    const run = agent.run('Weather in Paris?', { outputSchema: WEATHER_SCHEMA });
+    const { toolUseId } = await confirmation;
+    await paused;
+    const rejected = assert.rejects(run, { message: 'A new run started before the model gave a final answer' });
+
+    await agent.run('Never mind, just tell me');
+    await rejected;
+    await agent.handleToolConfirmation(toolUseId, false);
+    assert.equal(agent.messages.at(-1).content, 'It is nice out.');
+
+    assert.equal(llm.calls.length, 2);
+    const instructions = llm.calls[1].filter(message => message.type === 'system' && message.content.includes('"celsius"'));
+    assert.deepEqual(instructions, []);
+    await agent.shutdown();
+  });
+});
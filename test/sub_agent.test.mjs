@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAgent, createAgentTool, createMockLLM, createTool, Tracer } from '../index.mjs';
+
+/**
+ * Create a tool that always needs confirmation and counts its executions
+ */
+function createDangerousTool() {
+  const tool = createTool({
+    name: 'delete_branch',
+    description: 'Delete a git branch',
+    parameters: {
+      type: 'object',
+      properties: { name: { type: 'string' } },
+      required: ['name']
+    },
+    requiresAcceptance: () => true,
+    execute: async ({ name }) => {
+      tool.executions++;
+      return `Deleted ${name}`;
+    }
+  });
+  tool.executions = 0;
+  return tool;
+}
+
+/**
+ * Create a planner whose researcher sub-agent asks to run the dangerous tool
+ */
+function createPlanner(tool, config = {}) {
+  const researcher = createAgentTool({
+    name: 'researcher',
+    description: 'Cleans up the repository',
+    confirmationTimeout: 1000,
+    agent: {
+      system: 'You clean up repositories',
+      llm: createMockLLM({
+        responses: [
+          { toolCalls: [{ toolUseId: 'delete-1', name: 'delete_branch', input: { name: 'old' } }] },
+          (messages) => {
+            const result = messages.find(message => message.type === 'tool-result');
+            return result.content[0].toolResult.status === 'error' ? 'Not deleted.' : 'Deleted.';
+          }
+        ]
+      }),
+      tools: [tool]
+    }
+  });
+  return createAgent({
+    system: 'You plan work and delegate it',
+    llm: createMockLLM({
+      responses: [
+        { toolCalls: [{ name: 'researcher', input: { task: 'Delete the old branch' } }] },
+        (messages) => `Researcher said: ${messages.at(-1).content[0].toolResult.content[0].json.result}`
+      ]
+    }),
+    tools: [researcher],
+    ...config
+  });
+}
+
+describe('Sub-agents', () => {
+  it('deny child confirmations at once when only a tracer and pattern listeners receive them', async () => {
+    const tool = createDangerousTool();
+    const planner = createPlanner(tool, { tracer: new Tracer() });
+    const events = [];
+    planner.on('*', (data, name) => events.push(name));
+    planner.on('subAgent', () => {});
+
+    const startedAt = Date.now();
+    assert.equal(await planner.run('Clean up'), 'Researcher said: Not deleted.');
+
+    assert.ok(Date.now() - startedAt < 1000);
+    assert.equal(tool.executions, 0);
+    assert.ok(events.includes('researcher:toolConfirmation'));
+    await planner.shutdown();
+  });
+
+  it('wait for a namespaced handler that answers later', async () => {
+    const tool = createDangerousTool();
+    const planner = createPlanner(tool);
+    planner.on('researcher:toolConfirmation', event => {
+      setTimeout(() => event.respond(true), 10);
+    });
+
+    assert.equal(await planner.run('Clean up'), 'Researcher said: Deleted.');
+    assert.equal(tool.executions, 1);
+    await planner.shutdown();
+  });
+
+  it('accept an answer given right away by a subAgent handler', async () => {
+    const tool = createDangerousTool();
+    const planner = createPlanner(tool);
+    planner.on('subAgent', event => {
+      if (event.event === 'toolConfirmation') {
+        event.data.respond(true);
+      }
+    });
+
+    assert.equal(await planner.run('Clean up'), 'Researcher said: Deleted.');
+    assert.equal(tool.executions, 1);
+    await planner.shutdown();
+  });
+});
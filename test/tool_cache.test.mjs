@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAgent, createMockLLM, createTool, ToolCache } from '../index.mjs';
+
+describe('ToolCache', () => {
+  it('keys results on the tool name and the input regardless of key order', async () => {
+    const cache = new ToolCache();
+    await cache.set('search', { query: 'todo', limit: 5 }, { hits: 3 });
+
+    assert.deepEqual(await cache.get('search', { limit: 5, query: 'todo' }), { hits: 3 });
+    assert.equal(await cache.get('search', { query: 'fixme', limit: 5 }), undefined);
+    assert.equal(await cache.get('grep', { query: 'todo', limit: 5 }), undefined);
+  });
+
+  it('forgets expired and invalidated results', async () => {
+    const cache = new ToolCache();
+    await cache.set('search', { query: 'a' }, { hits: 1 }, -1);
+    await cache.set('search', { query: 'b' }, { hits: 2 });
+
+    assert.equal(await cache.get('search', { query: 'a' }), undefined);
+    await cache.invalidate();
+    assert.equal(await cache.get('search', { query: 'b' }), undefined);
+  });
+
+  it('stores and returns copies of results', async () => {
+    const cache = new ToolCache();
+    const result = { files: ['a.mjs'] };
+    await cache.set('search', { query: 'a' }, result);
+    result.files.push('b.mjs');
+
+    const cached = await cache.get('search', { query: 'a' });
+    cached.files.push('c.mjs');
+
+    assert.deepEqual(await cache.get('search', { query: 'a' }), { files: ['a.mjs'] });
+  });
+
+  it('is not changed by afterTool middleware', async () => {
+    let executions = 0;
+    const search = createTool({
+      name: 'search',
+      description: 'Search the code base',
+      parameters: { type: 'object', properties: { query: { type: 'string' } }, required: ['query'] },
+      cache: true,
+      execute: async () => {
+        executions++;
+        return { files: ['a.mjs'] };
+      }
+    });
+    const agent = createAgent({
+      system: 'You search code',
+      llm: createMockLLM({
+        responses: [
+          { toolCalls: [{ name: 'search', input: { query: 'todo' } }] },
+          { toolCalls: [{ name: 'search', input: { query: 'todo' } }] },
+          'Found a.mjs.'
+        ]
+      }),
+      tools: [search],
+      middleware: [{
+        afterTool: ({ result }) => {
+          result.files.push('redacted.mjs');
+          return result;
+        }
+      }]
+    });
+    const ends = [];
+    agent.on('toolEnd', event => ends.push(event.cached));
+
+    await agent.run('Find the TODOs');
+
+    assert.equal(executions, 1);
+    assert.deepEqual(ends, [false, true]);
+    const results = agent.messages
+      .filter(message => message.type === 'tool-result')
+      .map(message => message.content[0].toolResult.content[0].json);
+    assert.deepEqual(results, [{ files: ['a.mjs', 'redacted.mjs'] }, { files: ['a.mjs', 'redacted.mjs'] }]);
+    await agent.shutdown();
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createAgent,
+  createMockLLM,
+  createTool,
+  Decision,
+  exportJsonl,
+  exportMarkdown,
+  parseTranscriptJsonl,
+  replayTranscript
+} from '../index.mjs';
+
+/**
+ * Create a tool that reads a file with a fixed content
+ */
+function createReadFileTool() {
+  return createTool({
+    name: 'read_file',
+    description: 'Read a file',
+    parameters: {
+      type: 'object',
+      properties: { path: { type: 'string' } },
+      required: ['path']
+    },
+    execute: async ({ path }) => ({ path, content: 'export const answer = 42;' })
+  });
+}
+
+/**
+ * Run a session with two user messages and a tool call, and return the agent
+ */
+async function recordSession() {
+  const agent = createAgent({
+    system: 'You are a careful reviewer',
+    llm: createMockLLM({
+      responses: [
+        { toolCalls: [{ name: 'read_file', input: { path: 'answer.mjs' } }] },
+        'The file exports 42.',
+        'No, nothing else.'
+      ]
+    }),
+    tools: [createReadFileTool()],
+    acceptAll: true
+  });
+
+  await agent.run('What does answer.mjs export?');
+  await agent.run('Anything else?');
+  return agent;
+}
+
+describe('Transcripts', () => {
+  it('replays a JSONL transcript with the recorded answers and tool results', async () => {
+    const recorded = await recordSession();
+    const jsonl = exportJsonl(recorded.messages);
+
+    const { agent, llm, answers } = await replayTranscript(jsonl);
+
+    assert.deepEqual(answers, ['The file exports 42.', 'No, nothing else.']);
+    assert.equal(llm.remaining, 0);
+    assert.deepEqual(
+      agent.messages.map(message => message.type),
+      recorded.messages.map(message => message.type)
+    );
+    assert.deepEqual(
+      agent.messages.find(message => message.type === 'tool-result').content[0].toolResult.content[0].json,
+      { path: 'answer.mjs', content: 'export const answer = 42;' }
+    );
+    assert.equal(exportJsonl(agent.messages).split('\n').length, jsonl.split('\n').length);
+
+    await recorded.shutdown();
+    await agent.shutdown();
+  });
+
+  it('replays user turns that follow a tool result', async () => {
+    const recorded = createAgent({
+      system: 'You are a careful reviewer',
+      llm: createMockLLM({
+        responses: [
+          { toolCalls: [{ name: 'read_file', input: { path: 'answer.mjs' } }] },
+          'It exports 42.'
+        ]
+      }),
+      tools: [createReadFileTool()],
+      limits: { maxLLMCalls: 1 }
+    });
+    await recorded.run('What does answer.mjs export?');
+    await recorded.run('Just tell me what it exports');
+
+    const { llm, answers, agent } = await replayTranscript(exportJsonl(recorded.messages), {
+      agent: { limits: { maxLLMCalls: 1 } }
+    });
+
+    assert.equal(answers.length, 2);
+    assert.equal(answers[1], 'It exports 42.');
+    assert.equal(llm.remaining, 0);
+    await recorded.shutdown();
+    await agent.shutdown();
+  });
+
+  it('marks structured output retries and replays them as part of the retried turn', async () => {
+    const recorded = createAgent({
+      system: 'You answer in JSON',
+      llm: createMockLLM({ responses: ['The answer is 42', '{"answer": 42}', 'You are welcome.'] })
+    });
+    await recorded.run('What is the answer?', {
+      outputSchema: { type: 'object', properties: { answer: { type: 'number' } }, required: ['answer'] }
+    });
+    await recorded.run('Thanks');
+
+    const jsonl = exportJsonl(recorded.messages);
+    const users = parseTranscriptJsonl(jsonl).filter(record => record.type === 'user');
+    assert.deepEqual(users.map(record => record.injected), [undefined, 'outputRetry', undefined]);
+
+    const { llm, answers, agent } = await replayTranscript(jsonl);
+    assert.deepEqual(answers, ['{"answer": 42}', 'You are welcome.']);
+    assert.equal(llm.remaining, 0);
+    await recorded.shutdown();
+    await agent.shutdown();
+  });
+
+  it('leaves out the message the agent sent after a denied tool call', async () => {
+    const recorded = createAgent({
+      system: 'You are a careful reviewer',
+      llm: createMockLLM({
+        responses: [
+          { toolCalls: [{ toolUseId: 'read-1', name: 'read_file', input: { path: 'secret.mjs' } }] },
+          'I will not read it then.'
+        ]
+      }),
+      tools: [createReadFileTool()],
+      approvalPolicy: { rules: [{ tool: 'read_file', decision: Decision.ASK }] }
+    });
+    await recorded.run('What does secret.mjs export?');
+    await recorded.handleToolConfirmation('read-1', false);
+
+    const jsonl = exportJsonl(recorded.messages);
+    assert.equal(parseTranscriptJsonl(jsonl).filter(record => record.injected === 'toolDenied').length, 1);
+
+    const { llm, answers, agent } = await replayTranscript(jsonl);
+    assert.deepEqual(answers, ['I will not read it then.']);
+    assert.equal(llm.remaining, 0);
+    await recorded.shutdown();
+    await agent.shutdown();
+  });
+
+  it('renders tool calls in Markdown', async () => {
+    const agent = await recordSession();
+    const markdown = exportMarkdown(agent.messages, { title: 'Review' });
+
+    assert.match(markdown, /^# Review/);
+    assert.match(markdown, /read_file/);
+    assert.match(markdown, /The file exports 42\./);
+    await agent.shutdown();
+  });
+
+  it('reports invalid lines with their line number in the file', () => {
+    const jsonl = '{"type":"header","format":"orange-agent-transcript","version":1}\n\n{"type":"user"\n';
+
+    assert.throws(() => parseTranscriptJsonl(jsonl), /Invalid JSON on line 3 of the transcript/);
+  });
+
+  it('rejects text without a header line', () => {
+    assert.throws(() => parseTranscriptJsonl('{"type":"user","content":"hi"}\n'), /the header line is missing/);
+  });
+});
@@ -1,3 +1,5 @@
+import { validateSchema, formatSchemaErrors } from './schema_validator.mjs';
+
 /**
  * Base Tool class that defines the interface for all tools
  */
@@ -38,12 +40,70 @@ export class Tool {
   /**
    * Execute the tool with the given parameters
    * @param {Object} params The parameters to execute the tool with
+   * @param {Object} [context] Execution context
+   * @param {AbortSignal} [context.signal] Signal that aborts when the run is cancelled or the tool times out
+   * @param {string} [context.toolUseId] ID of the tool call being executed
+   * @param {Function} [context.emit] Emit an event on the agent's event bus, called with (eventName, data)
+   * @param {string} [context.idempotencyKey] Hash of the tool name and normalized input, equal for repeated identical calls
    * @returns {Promise<Object>} The tool execution result
    */
-  async execute(params) {
+  async execute(params, context) {
     throw new Error('Tool must implement execute()');
   }
 
+  /**
+   * Describe what a call would do before it runs, for example as a diff.
+   * Called for every validated call that is not denied, before confirmation
+   * is requested. Tools without a preview return undefined.
+   * @param {Object} params The parameters of the call
+   * @param {Object} [context] Preview context with toolUseId and emit, like the execution context
+   * @returns {Promise<Object|undefined>} The preview, added to the toolConfirmation event
+   */
+  async preview(params, context) {
+    return undefined;
+  }
+
+  /**
+   * Get the maximum execution time of the tool
+   * @returns {number|undefined} Timeout in milliseconds, or undefined to use the agent's toolTimeout
+   */
+  getTimeout() {
+    return undefined;
+  }
+
+  /**
+   * Get the maximum size of a result before it is truncated and stored as an artifact
+   * @returns {number|undefined} Size in characters, or undefined to use the agent's maxToolResultSize
+   */
+  getMaxResultSize() {
+    return undefined;
+  }
+
+  /**
+   * Get the caching settings of the tool. Only tools that return an object are cached.
+   * @returns {Object|undefined} { ttl } with the time to live in milliseconds, or undefined to disable caching
+   */
+  getCacheOptions() {
+    return undefined;
+  }
+
+  /**
+   * Check if the tool changes state that cached results may depend on.
+   * The agent's tool cache is cleared whenever a mutating tool runs.
+   * @returns {boolean} Whether the tool is mutating
+   */
+  isMutating() {
+    return false;
+  }
+
+  /**
+   * Check if the tool can run in parallel with other tool calls from the same model response
+   * @returns {boolean} Whether the tool is safe to run concurrently
+   */
+  isConcurrencySafe() {
+    return false;
+  }
+
   /**
    * Check if the tool requires user acceptance before execution
    * @param {Object} params The parameters to check
@@ -61,8 +121,14 @@ export class Tool {
  * @param {string} config.description Tool description
  * @param {Object} config.parameters JSON Schema for parameters
  * @param {Function} config.execute Function to execute the tool
- * @param {Function} [config.validate] Function to validate parameters
+ * @param {Function} [config.validate] Function to validate parameters, defaults to validating against config.parameters
  * @param {Function} [config.requiresAcceptance] Function to check if tool requires acceptance
+ * @param {Function} [config.preview] Function called with (params, context) that describes a call before it runs
+ * @param {number} [config.timeout] Maximum execution time in milliseconds
+ * @param {boolean} [config.concurrencySafe=false] Whether the tool can run in parallel with other tools
+ * @param {number} [config.maxResultSize] Maximum result size in characters before it is truncated
+ * @param {boolean|Object} [config.cache] Cache results, true or { ttl } with the time to live in milliseconds
+ * @param {boolean} [config.mutating=false] Whether running the tool invalidates cached results
  * @returns {Tool} A tool instance
  */
 export function createTool(config) {
@@ -84,19 +150,41 @@ export function createTool(config) {
         return config.validate(params);
       }
       
-      // Basic validation - check required parameters
-      const required = config.parameters?.required || [];
-      for (const param of required) {
-        if (params[param] === undefined) {
-          return { ok: false, error: `Missing required parameter: ${param}` };
-        }
+      // Validate against the full parameters schema
+      const errors = validateSchema(config.parameters || {}, params);
+      if (errors.length > 0) {
+        return { ok: false, error: formatSchemaErrors(errors), errors };
       }
       
       return { ok: true };
     }
 
-    async execute(params) {
-      return await config.execute(params);
+    async execute(params, context) {
+      return await config.execute(params, context);
+    }
+
+    async preview(params, context) {
+      return config.preview ? await config.preview(params, context) : undefined;
+    }
+
+    getTimeout() {
+      return config.timeout;
+    }
+
+    getMaxResultSize() {
+      return config.maxResultSize;
+    }
+
+    getCacheOptions() {
+      return config.cache === true ? {} : config.cache || undefined;
+    }
+
+    isMutating() {
+      return config.mutating || false;
+    }
+
+    isConcurrencySafe() {
+      return config.concurrencySafe || false;
     }
 
     requiresAcceptance(params) {
@@ -107,3 +195,25 @@ export function createTool(config) {
     }
   };
 }
+
+/**
+ * Normalize a value returned by Tool.execute into tool result content.
+ * Tool results must be JSON objects, so other values are wrapped as { result }.
+ * @param {any} value The value returned by the tool
+ * @returns {Object} Tool result content, with an error property when the tool failed
+ */
+export function normalizeToolResult(value) {
+  if (value instanceof Error) {
+    return { error: value.message };
+  }
+  if (value === undefined || value === null) {
+    return { result: null };
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return { result: value };
+  }
+  if (value.error instanceof Error) {
+    return { ...value, error: value.error.message };
+  }
+  return value;
+}
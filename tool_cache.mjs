@@ -0,0 +1,170 @@
+import { mkdir, readdir, readFile, unlink, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { createHash } from 'crypto';
+
+/**
+ * Serialize a value as JSON with object keys in sorted order, so inputs
+ * that only differ in key order get the same cache key
+ * @param {any} value - JSON value
+ * @returns {string} The normalized JSON text
+ */
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item ?? null)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Get the idempotency key of a tool call: a hash of the tool name and its normalized input
+ * @param {string} toolName - Tool name
+ * @param {Object} input - Tool input
+ * @returns {string} The key
+ */
+export function toolCallKey(toolName, input) {
+  return createHash('sha256')
+    .update(`${toolName}\n${stableStringify(input ?? {})}`)
+    .digest('hex');
+}
+
+/**
+ * Cache backend that keeps entries in memory
+ */
+export class MemoryCacheBackend {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    return this.entries.get(key);
+  }
+
+  async set(key, entry) {
+    this.entries.set(key, entry);
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Cache backend that keeps one JSON file per entry in a directory,
+ * so cached results are shared between processes and survive restarts
+ */
+export class FileCacheBackend {
+  /**
+   * @param {Object} options - Backend options
+   * @param {string} options.directory - Directory of the cache files
+   */
+  constructor(options) {
+    this.directory = options.directory;
+  }
+
+  async get(key) {
+    try {
+      return JSON.parse(await readFile(join(this.directory, `${key}.json`), 'utf8'));
+    } catch (error) {
+      // Missing and half-written entries are cache misses
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) return undefined;
+      throw error;
+    }
+  }
+
+  async set(key, entry) {
+    await mkdir(this.directory, { recursive: true });
+    await writeFile(join(this.directory, `${key}.json`), JSON.stringify(entry), 'utf8');
+  }
+
+  async delete(key) {
+    await unlink(join(this.directory, `${key}.json`)).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+
+  async clear() {
+    let files;
+    try {
+      files = await readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    await Promise.all(files
+      .filter(file => /^[0-9a-f]{64}\.json$/.test(file))
+      .map(file => this.delete(file.slice(0, -5))));
+  }
+}
+
+/**
+ * Cache of tool results keyed on tool name and normalized input.
+ * Only tools that opt in through getCacheOptions() are cached, and the whole
+ * cache is invalidated whenever a tool whose isMutating() returns true runs.
+ * Results are copied when they are stored and when they are returned, so
+ * changing a result does not change the cached one.
+ */
+export class ToolCache {
+  /**
+   * @param {Object} [options] - Cache options
+   * @param {Object} [options.backend] - Backend with get, set, delete and clear, defaults to memory
+   * @param {string} [options.directory] - Use a FileCacheBackend in this directory
+   */
+  constructor(options = {}) {
+    this.backend = options.backend ||
+      (options.directory ? new FileCacheBackend({ directory: options.directory }) : new MemoryCacheBackend());
+  }
+
+  /**
+   * Get a cached result
+   * @param {string} toolName - Tool name
+   * @param {Object} input - Tool input
+   * @returns {Promise<Object|undefined>} A copy of the cached result, or undefined when missing or expired
+   */
+  async get(toolName, input) {
+    const key = toolCallKey(toolName, input);
+    const entry = await this.backend.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      await this.backend.delete(key);
+      return undefined;
+    }
+    return structuredClone(entry.result);
+  }
+
+  /**
+   * Store a result
+   * @param {string} toolName - Tool name
+   * @param {Object} input - Tool input
+   * @param {Object} result - Normalized tool result
+   * @param {number} [ttl] - Time to live in milliseconds, no expiry when omitted
+   * @returns {Promise<void>}
+   */
+  async set(toolName, input, result, ttl) {
+    await this.backend.set(toolCallKey(toolName, input), {
+      toolName,
+      result: structuredClone(result),
+      expiresAt: ttl ? Date.now() + ttl : null
+    });
+  }
+
+  /**
+   * Remove every cached result
+   * @returns {Promise<void>}
+   */
+  async invalidate() {
+    await this.backend.clear();
+  }
+}
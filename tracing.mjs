@@ -0,0 +1,678 @@
+import { appendFile, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { randomBytes } from 'crypto';
+import { stableStringify } from './tool_cache.mjs';
+
+/**
+ * Status of a finished span
+ */
+export const SpanStatus = {
+  UNSET: 'UNSET',
+  OK: 'OK',
+  ERROR: 'ERROR'
+};
+
+/**
+ * Default upper bounds in milliseconds of the latency histogram buckets
+ */
+export const DEFAULT_LATENCY_BUCKETS = [10, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000, 60000];
+
+/**
+ * Name of the instrumentation scope in exported payloads
+ */
+const SCOPE_NAME = 'orange-agent';
+
+/**
+ * Span status codes of the OTLP format
+ */
+const OTLP_STATUS_CODES = { UNSET: 0, OK: 1, ERROR: 2 };
+
+/**
+ * Cumulative aggregation temporality of the OTLP format
+ */
+const OTLP_CUMULATIVE = 2;
+
+/**
+ * Agent events used to build spans and metrics
+ */
+const TRACED_EVENTS = [
+  'start', 'end', 'turnStart', 'turnEnd', 'llmRequest', 'llmResponse',
+  'retry', 'toolStart', 'toolEnd', 'error', 'subAgent'
+];
+
+/**
+ * Create a random hexadecimal ID
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} The ID
+ */
+function randomId(bytes) {
+  return randomBytes(bytes).toString('hex');
+}
+
+/**
+ * Get the key of a metric for a set of attributes
+ * @param {string} name - Metric name
+ * @param {Object} attributes - Metric attributes
+ * @returns {string} The key
+ */
+function metricKey(name, attributes) {
+  return `${name}\n${stableStringify(attributes)}`;
+}
+
+/**
+ * A timed operation of a trace, such as a run, an LLM call or a tool execution
+ */
+export class Span {
+  /**
+   * @param {Tracer} tracer - Tracer that exports the span when it ends
+   * @param {string} name - Span name
+   * @param {Object} [options] - Span options
+   * @param {Span} [options.parent] - Parent span, a new trace is started when omitted
+   * @param {Object} [options.attributes] - Initial attributes
+   * @param {number} [options.startTime=Date.now()] - Start time in milliseconds
+   */
+  constructor(tracer, name, options = {}) {
+    this.tracer = tracer;
+    this.name = name;
+    this.traceId = options.parent ? options.parent.traceId : randomId(16);
+    this.spanId = randomId(8);
+    this.parentSpanId = options.parent ? options.parent.spanId : null;
+    this.startTime = options.startTime ?? Date.now();
+    this.endTime = null;
+    this.attributes = { ...options.attributes };
+    this.events = [];
+    this.status = { code: SpanStatus.UNSET };
+  }
+
+  /**
+   * Duration in milliseconds, or null while the span is open
+   */
+  get duration() {
+    return this.endTime === null ? null : this.endTime - this.startTime;
+  }
+
+  /**
+   * Whether the span has ended
+   */
+  get ended() {
+    return this.endTime !== null;
+  }
+
+  /**
+   * Add or replace attributes, undefined values are ignored
+   * @param {Object} attributes - Attribute values by name
+   * @returns {Span} This span
+   */
+  setAttributes(attributes) {
+    for (const [key, value] of Object.entries(attributes)) {
+      if (value !== undefined) {
+        this.attributes[key] = value;
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Record something that happened during the span
+   * @param {string} name - Event name
+   * @param {Object} [attributes] - Event attributes
+   * @param {number} [time=Date.now()] - Event time in milliseconds
+   * @returns {Span} This span
+   */
+  addEvent(name, attributes = {}, time = Date.now()) {
+    this.events.push({ name, time, attributes });
+    return this;
+  }
+
+  /**
+   * Set the status of the span
+   * @param {string} code - One of SpanStatus
+   * @param {string} [message] - Error description
+   * @returns {Span} This span
+   */
+  setStatus(code, message) {
+    this.status = message === undefined ? { code } : { code, message };
+    return this;
+  }
+
+  /**
+   * End the span and hand it to the tracer. Ending a span twice has no effect.
+   * @param {number} [endTime=Date.now()] - End time in milliseconds
+   */
+  end(endTime = Date.now()) {
+    if (this.ended) return;
+    this.endTime = endTime;
+    this.tracer.spanEnded(this);
+  }
+
+  toJSON() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      parentSpanId: this.parentSpanId,
+      name: this.name,
+      startTime: this.startTime,
+      endTime: this.endTime,
+      duration: this.duration,
+      attributes: this.attributes,
+      events: this.events,
+      status: this.status
+    };
+  }
+}
+
+/**
+ * Counters, gauges and histograms, each kept per set of attributes
+ */
+export class Metrics {
+  /**
+   * @param {Object} [options] - Metric options
+   * @param {Array<number>} [options.buckets=DEFAULT_LATENCY_BUCKETS] - Upper bounds of the histogram buckets
+   */
+  constructor(options = {}) {
+    this.buckets = options.buckets || DEFAULT_LATENCY_BUCKETS;
+    this.startTime = Date.now();
+    this.counters = new Map();
+    this.gauges = new Map();
+    this.histograms = new Map();
+  }
+
+  /**
+   * Get the entry of a metric for a set of attributes, creating it when missing
+   * @param {Map} metrics - Counters, gauges or histograms
+   * @param {string} name - Metric name
+   * @param {Object} attributes - Metric attributes
+   * @param {Function} create - Creates the initial entry
+   * @returns {Object} The entry
+   */
+  entry(metrics, name, attributes, create) {
+    const key = metricKey(name, attributes);
+    if (!metrics.has(key)) {
+      metrics.set(key, { name, attributes: { ...attributes }, ...create() });
+    }
+    return metrics.get(key);
+  }
+
+  /**
+   * Add to a counter
+   * @param {string} name - Metric name
+   * @param {number} value - Amount to add
+   * @param {Object} [attributes] - Metric attributes
+   */
+  add(name, value, attributes = {}) {
+    this.entry(this.counters, name, attributes, () => ({ value: 0 })).value += value;
+  }
+
+  /**
+   * Set a gauge
+   * @param {string} name - Metric name
+   * @param {number} value - Current value
+   * @param {Object} [attributes] - Metric attributes
+   */
+  set(name, value, attributes = {}) {
+    this.entry(this.gauges, name, attributes, () => ({})).value = value;
+  }
+
+  /**
+   * Get the value of a counter
+   * @param {string} name - Metric name
+   * @param {Object} [attributes] - Metric attributes
+   * @returns {number} The value, 0 when nothing was added yet
+   */
+  get(name, attributes = {}) {
+    return this.counters.get(metricKey(name, attributes))?.value || 0;
+  }
+
+  /**
+   * Record a value in a histogram
+   * @param {string} name - Metric name
+   * @param {number} value - Value to record
+   * @param {Object} [attributes] - Metric attributes
+   */
+  record(name, value, attributes = {}) {
+    const histogram = this.entry(this.histograms, name, attributes, () => ({
+      count: 0,
+      sum: 0,
+      min: value,
+      max: value,
+      bucketCounts: new Array(this.buckets.length + 1).fill(0)
+    }));
+    histogram.count++;
+    histogram.sum += value;
+    histogram.min = Math.min(histogram.min, value);
+    histogram.max = Math.max(histogram.max, value);
+
+    const bucket = this.buckets.findIndex(bound => value <= bound);
+    histogram.bucketCounts[bucket === -1 ? this.buckets.length : bucket]++;
+  }
+
+  /**
+   * Get the current value of every metric
+   * @returns {Object} { startTime, time, counters, gauges, histograms }
+   */
+  collect() {
+    const copy = entries => [...entries.values()].map(entry => structuredClone(entry));
+    return {
+      startTime: this.startTime,
+      time: Date.now(),
+      counters: copy(this.counters),
+      gauges: copy(this.gauges),
+      histograms: copy(this.histograms).map(histogram => ({ ...histogram, bounds: [...this.buckets] }))
+    };
+  }
+}
+
+/**
+ * Records agent runs as traces and keeps metrics about them.
+ * Finished spans are buffered until flush() hands them to the exporters
+ * together with the current metrics.
+ */
+export class Tracer {
+  /**
+   * @param {Object} [options] - Tracer options
+   * @param {string} [options.serviceName='orange-agent'] - Service name of the exported resource
+   * @param {Array<Object>} [options.exporters] - Objects with an async export({ resource, spans, metrics }) method
+   * @param {Array<number>} [options.buckets] - Upper bounds of the latency histogram buckets in milliseconds
+   */
+  constructor(options = {}) {
+    this.serviceName = options.serviceName || SCOPE_NAME;
+    this.exporters = options.exporters || [];
+    this.metrics = new Metrics({ buckets: options.buckets });
+    this.finishedSpans = [];
+    // Spans each exporter has not accepted yet, kept after a failed export
+    this.unexported = new Map(this.exporters.map(exporter => [exporter, []]));
+  }
+
+  /**
+   * Start a span
+   * @param {string} name - Span name
+   * @param {Object} [options] - Span options, see Span
+   * @returns {Span} The span
+   */
+  startSpan(name, options) {
+    return new Span(this, name, options);
+  }
+
+  /**
+   * Called by a span when it ends
+   * @param {Span} span - The span
+   */
+  spanEnded(span) {
+    this.finishedSpans.push(span);
+  }
+
+  /**
+   * Send the finished spans and the current metrics to every exporter.
+   * Exporters are called independently. When one fails, the others still
+   * export, and the spans it did not accept are sent to it again on the next flush.
+   * @returns {Promise<void>}
+   * @throws {AggregateError} The errors of the exporters that failed
+   */
+  async flush() {
+    const spans = this.finishedSpans.splice(0);
+    const metrics = this.metrics.collect();
+
+    const exports = this.exporters.map(exporter => {
+      if (!this.unexported.has(exporter)) {
+        this.unexported.set(exporter, []);
+      }
+      const pending = this.unexported.get(exporter);
+      pending.push(...spans);
+      if (pending.length === 0) return null;
+
+      const batch = { resource: { serviceName: this.serviceName }, spans: [...pending], metrics };
+      return Promise.resolve()
+        .then(() => exporter.export(batch))
+        .then(() => pending.splice(0, batch.spans.length));
+    });
+
+    const results = await Promise.allSettled(exports);
+    const errors = results
+      .filter(result => result.status === 'rejected')
+      .map(result => result.reason);
+    if (errors.length > 0) {
+      throw new AggregateError(errors, `${errors.length} of ${this.exporters.length} trace exporters failed: ${errors.map(error => error.message).join('; ')}`);
+    }
+  }
+
+  /**
+   * Trace an agent through its events. Sub-agents are traced through the
+   * events they forward, with their runs below the tool call that started them.
+   * The spans are flushed when the agent shuts down.
+   * @param {Object} agent - Agent created with createAgent
+   * @returns {Function} A function that stops tracing the agent
+   */
+  instrument(agent) {
+    const scopes = new Map();
+    const handle = (scopeKey, eventName, data, parent) => {
+      if (!scopes.has(scopeKey)) {
+        scopes.set(scopeKey, { parent, run: null, turn: null, llm: null, tools: new Map() });
+      }
+      const scope = scopes.get(scopeKey);
+
+      if (eventName === 'subAgent') {
+        handle(`${scopeKey}/${data.namespace}:${data.toolUseId}`, data.event, data.data, scope.tools.get(data.toolUseId));
+        return;
+      }
+
+      this.handleEvent(scope, eventName, data);
+      if (eventName === 'end' && scopeKey !== '') {
+        // Every call of a sub-agent tool creates a new agent
+        scopes.delete(scopeKey);
+      }
+    };
+
+    const unsubscribes = TRACED_EVENTS.map(eventName =>
+      agent.on(eventName, data => handle('', eventName, data, null))
+    );
+    unsubscribes.push(agent.on('system:closed', () => this.flush()));
+
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }
+
+  /**
+   * Update the spans and metrics of an agent for one of its events
+   * @param {Object} scope - Open spans of the agent
+   * @param {string} eventName - Event name
+   * @param {Object} data - Event payload
+   */
+  handleEvent(scope, eventName, data) {
+    switch (eventName) {
+      case 'start':
+        scope.run = this.startSpan('agent.run', {
+          parent: scope.parent,
+          startTime: data.timestamp,
+          attributes: { 'agent.run.id': data.runId }
+        });
+        break;
+
+      case 'turnStart':
+        if (!scope.run) break;
+        scope.turn = this.startSpan('agent.turn', {
+          parent: scope.run,
+          startTime: data.timestamp,
+          attributes: { 'agent.turn': data.turn }
+        });
+        break;
+
+      case 'turnEnd':
+        scope.turn?.end(data.timestamp);
+        scope.turn = null;
+        break;
+
+      case 'llmRequest':
+        if (!scope.run) break;
+        scope.llm = this.startSpan('llm.invoke', {
+          parent: scope.turn || scope.run,
+          startTime: data.timestamp,
+          attributes: { 'llm.request.messages': data.messages.length }
+        });
+        break;
+
+      case 'retry':
+        scope.llm?.addEvent('llm.retry', {
+          'llm.retry.attempt': data.attempt,
+          'llm.retry.delay': data.delay,
+          'llm.retry.model': data.model,
+          'error.message': data.error
+        }, data.timestamp);
+        break;
+
+      case 'llmResponse': {
+        const span = scope.llm;
+        if (!span) break;
+        const tokens = data.response.totalTokens || 0;
+        span.setAttributes({
+          'llm.response.type': data.response.type,
+          'llm.response.tool_calls': data.response.toolCalls?.length || 0,
+          'llm.usage.total_tokens': tokens
+        }).setStatus(SpanStatus.OK).end(data.timestamp);
+        scope.llm = null;
+
+        this.metrics.record('agent.llm.duration', data.duration);
+        this.metrics.add('agent.llm.calls', 1);
+        this.metrics.add('agent.llm.tokens', tokens);
+        break;
+      }
+
+      case 'toolStart':
+        if (!scope.run) break;
+        scope.tools.set(data.toolUseId, this.startSpan('tool.execute', {
+          parent: scope.turn || scope.run,
+          startTime: data.timestamp,
+          attributes: { 'tool.name': data.toolName, 'tool.use_id': data.toolUseId }
+        }));
+        break;
+
+      case 'toolEnd': {
+        const span = scope.tools.get(data.toolUseId);
+        const attributes = { tool: data.toolName };
+        if (span) {
+          span.setAttributes({ 'tool.cached': Boolean(data.cached) });
+          span.setStatus(data.error ? SpanStatus.ERROR : SpanStatus.OK, data.error).end(data.timestamp);
+        }
+
+        this.metrics.record('agent.tool.duration', data.duration, attributes);
+        this.metrics.add('agent.tool.calls', 1, attributes);
+        this.metrics.add('agent.tool.errors', data.error ? 1 : 0, attributes);
+        this.metrics.set(
+          'agent.tool.error_rate',
+          this.metrics.get('agent.tool.errors', attributes) / this.metrics.get('agent.tool.calls', attributes),
+          attributes
+        );
+        break;
+      }
+
+      case 'error':
+        // LLM failures end the open LLM span, tool failures are reported by toolEnd
+        if (data.toolUseId || !scope.llm) break;
+        scope.llm.setAttributes({ 'error.code': data.code })
+          .setStatus(SpanStatus.ERROR, data.error)
+          .end(data.timestamp);
+        scope.llm = null;
+        this.metrics.add('agent.llm.errors', 1);
+        break;
+
+      case 'end': {
+        const run = scope.run;
+        if (!run) break;
+
+        // Spans still open when the run ends were interrupted
+        const interrupted = data.aborted ? 'Run was aborted' : 'Run ended before the operation finished';
+        for (const span of [scope.llm, ...scope.tools.values(), scope.turn]) {
+          if (span && !span.ended) {
+            span.setStatus(SpanStatus.ERROR, interrupted).end(data.timestamp);
+          }
+        }
+        scope.llm = null;
+        scope.turn = null;
+        scope.tools.clear();
+
+        run.setAttributes({
+          'agent.run.turns': data.turns,
+          'agent.run.llm_calls': data.llmCalls,
+          'agent.run.tool_calls': data.toolCalls,
+          'agent.run.tokens': data.tokens,
+          'agent.run.aborted': data.aborted,
+          'agent.run.limit_reached': data.limitReached ?? undefined
+        });
+        run.setStatus(data.aborted ? SpanStatus.ERROR : SpanStatus.OK, data.aborted ? 'Run was aborted' : undefined);
+        run.end(data.timestamp);
+        scope.run = null;
+
+        this.metrics.record('agent.run.duration', data.duration);
+        break;
+      }
+    }
+  }
+}
+
+/**
+ * Convert attributes to the key-value list of the OTLP format
+ * @param {Object} attributes - Attribute values by name
+ * @returns {Array<Object>} The OTLP attributes
+ */
+function toOtlpAttributes(attributes) {
+  return Object.entries(attributes).map(([key, value]) => {
+    if (typeof value === 'boolean') return { key, value: { boolValue: value } };
+    if (Number.isInteger(value)) return { key, value: { intValue: String(value) } };
+    if (typeof value === 'number') return { key, value: { doubleValue: value } };
+    return { key, value: { stringValue: String(value) } };
+  });
+}
+
+/**
+ * Convert a time in milliseconds to the nanosecond string of the OTLP format
+ * @param {number} time - Time in milliseconds
+ * @returns {string} The time in nanoseconds
+ */
+function toUnixNano(time) {
+  return (BigInt(Math.round(time)) * 1000000n).toString();
+}
+
+/**
+ * Get the OTLP resource of a batch
+ * @param {Object} resource - Batch resource
+ * @returns {Object} The OTLP resource
+ */
+function toOtlpResource(resource) {
+  return { attributes: toOtlpAttributes({ 'service.name': resource.serviceName }) };
+}
+
+/**
+ * Build an OTLP/JSON trace export request, as accepted on /v1/traces
+ * @param {Object} batch - Batch passed to exporters
+ * @returns {Object} The request body
+ */
+export function toOtlpTraces(batch) {
+  return {
+    resourceSpans: [{
+      resource: toOtlpResource(batch.resource),
+      scopeSpans: [{
+        scope: { name: SCOPE_NAME },
+        spans: batch.spans.map(span => ({
+          traceId: span.traceId,
+          spanId: span.spanId,
+          ...(span.parentSpanId && { parentSpanId: span.parentSpanId }),
+          name: span.name,
+          kind: 1,
+          startTimeUnixNano: toUnixNano(span.startTime),
+          endTimeUnixNano: toUnixNano(span.endTime),
+          attributes: toOtlpAttributes(span.attributes),
+          events: span.events.map(event => ({
+            name: event.name,
+            timeUnixNano: toUnixNano(event.time),
+            attributes: toOtlpAttributes(event.attributes)
+          })),
+          status: {
+            code: OTLP_STATUS_CODES[span.status.code],
+            ...(span.status.message && { message: span.status.message })
+          }
+        }))
+      }]
+    }]
+  };
+}
+
+/**
+ * Build an OTLP/JSON metrics export request, as accepted on /v1/metrics
+ * @param {Object} batch - Batch passed to exporters
+ * @returns {Object} The request body
+ */
+export function toOtlpMetrics(batch) {
+  const { startTime, time, counters, gauges, histograms } = batch.metrics;
+  const point = entry => ({
+    attributes: toOtlpAttributes(entry.attributes),
+    startTimeUnixNano: toUnixNano(startTime),
+    timeUnixNano: toUnixNano(time)
+  });
+
+  // Each metric appears once with one data point per set of attributes
+  const metrics = new Map();
+  const metric = (name, create) => {
+    if (!metrics.has(name)) metrics.set(name, { name, ...create() });
+    return metrics.get(name);
+  };
+
+  for (const counter of counters) {
+    metric(counter.name, () => ({ sum: { dataPoints: [], aggregationTemporality: OTLP_CUMULATIVE, isMonotonic: true } }))
+      .sum.dataPoints.push({ ...point(counter), asDouble: counter.value });
+  }
+  for (const gauge of gauges) {
+    metric(gauge.name, () => ({ gauge: { dataPoints: [] } }))
+      .gauge.dataPoints.push({ ...point(gauge), asDouble: gauge.value });
+  }
+  for (const histogram of histograms) {
+    metric(histogram.name, () => ({ unit: 'ms', histogram: { dataPoints: [], aggregationTemporality: OTLP_CUMULATIVE } }))
+      .histogram.dataPoints.push({
+        ...point(histogram),
+        count: String(histogram.count),
+        sum: histogram.sum,
+        min: histogram.min,
+        max: histogram.max,
+        bucketCounts: histogram.bucketCounts.map(String),
+        explicitBounds: histogram.bounds
+      });
+  }
+
+  return {
+    resourceMetrics: [{
+      resource: toOtlpResource(batch.resource),
+      scopeMetrics: [{ scope: { name: SCOPE_NAME }, metrics: [...metrics.values()] }]
+    }]
+  };
+}
+
+/**
+ * Exporter that appends each batch as one JSON line to a file
+ */
+export class JsonFileExporter {
+  /**
+   * @param {Object} options - Exporter options
+   * @param {string} options.path - File to append to
+   * @param {string} [options.format='json'] - 'json' for plain spans and metrics, 'otlp' for OTLP/JSON payloads
+   */
+  constructor(options) {
+    this.path = options.path;
+    this.format = options.format || 'json';
+  }
+
+  async export(batch) {
+    const record = this.format === 'otlp'
+      ? { traces: toOtlpTraces(batch), metrics: toOtlpMetrics(batch) }
+      : batch;
+    await mkdir(dirname(this.path), { recursive: true });
+    await appendFile(this.path, JSON.stringify(record) + '\n', 'utf8');
+  }
+}
+
+/**
+ * Exporter that sends batches to an OpenTelemetry collector over OTLP/HTTP with JSON encoding
+ */
+export class OtlpHttpExporter {
+  /**
+   * @param {Object} [options] - Exporter options
+   * @param {string} [options.url='http://localhost:4318'] - Collector URL, /v1/traces and /v1/metrics are appended
+   * @param {Object} [options.headers] - Additional request headers
+   */
+  constructor(options = {}) {
+    this.url = (options.url || 'http://localhost:4318').replace(/\/$/, '');
+    this.headers = options.headers || {};
+  }
+
+  async export(batch) {
+    await this.post('/v1/traces', toOtlpTraces(batch));
+    await this.post('/v1/metrics', toOtlpMetrics(batch));
+  }
+
+  async post(path, body) {
+    const response = await fetch(this.url + path, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...this.headers },
+      body: JSON.stringify(body)
+    });
+    if (!response.ok) {
+      throw new Error(`OTLP export to ${path} failed with status ${response.status}: ${await response.text()}`);
+    }
+  }
+}
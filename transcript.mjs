@@ -0,0 +1,432 @@
+import { createAgent } from './index.mjs';
+import { createMockLLM } from './mock_llm.mjs';
+import { createTool } from './tool.mjs';
+import { ResponseType } from './llm_provider.mjs';
+import { InjectionReason, MessageType } from './conversation_manager.mjs';
+import { parseJsonLines } from './jsonl.mjs';
+
+/**
+ * Formats a conversation can be exported to
+ */
+export const TranscriptFormat = {
+  MARKDOWN: 'markdown',
+  HTML: 'html',
+  JSONL: 'jsonl'
+};
+
+/**
+ * Name and version of the JSONL replay format, written on its first line
+ */
+const REPLAY_FORMAT = 'orange-agent-transcript';
+const REPLAY_FORMAT_VERSION = 1;
+
+/**
+ * Get the messages of a conversation in order
+ * @param {Array<Object>|Object} source - Messages, such as agent.messages, or a serialized conversation
+ * @returns {Array<Object>} The messages
+ */
+function getMessages(source) {
+  if (Array.isArray(source)) {
+    return source;
+  }
+  if (!source || !Array.isArray(source.messages)) {
+    throw new Error('Invalid conversation: expected an array of messages or a serialized conversation');
+  }
+  if (!source.branches) {
+    return source.messages;
+  }
+
+  const byId = new Map(source.messages.map(message => [message.id, message]));
+  return source.branches[source.currentBranch].map(id => byId.get(id));
+}
+
+/**
+ * Group the messages of a conversation into transcript entries.
+ * Each tool request is joined with its result into one tool entry.
+ * @param {Array<Object>|Object} source - Messages or a serialized conversation
+ * @returns {Array<Object>} Entries of the form { kind, timestamp, content, injected } or
+ *   { kind: 'tool', timestamp, toolUseId, toolName, input, result, error, pending, responseId, afterResults }
+ */
+function toEntries(source) {
+  const entries = [];
+  const tools = new Map();
+  const messages = getMessages(source);
+
+  for (const [index, message] of messages.entries()) {
+    const timestamp = new Date(message.timestamp);
+
+    if (message.type === MessageType.TOOL_REQUEST) {
+      // A result right after its own request is a call rejected before execution,
+      // any other result before a request ends the previous model response
+      const previous = messages[index - 1];
+      const afterResults = previous?.type === MessageType.TOOL_RESULT &&
+        messages[index - 2]?.toolUseId !== previous.toolUseId;
+
+      const toolUse = message.content[0].toolUse;
+      const entry = {
+        kind: 'tool',
+        timestamp,
+        toolUseId: toolUse.toolUseId,
+        toolName: toolUse.name,
+        input: toolUse.input,
+        responseId: message.responseId,
+        afterResults,
+        pending: true
+      };
+      tools.set(toolUse.toolUseId, entry);
+      entries.push(entry);
+    } else if (message.type === MessageType.TOOL_RESULT) {
+      const entry = tools.get(message.toolUseId);
+      if (!entry) continue;
+      entry.result = message.content[0].toolResult.content[0].json;
+      entry.error = message.error || undefined;
+      entry.pending = false;
+    } else {
+      entries.push({ kind: message.type, timestamp, content: message.content, injected: message.injected });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Get the text of a message content
+ * @param {any} content - Message content
+ * @returns {string} The text
+ */
+function toText(content) {
+  return typeof content === 'string' ? content : JSON.stringify(content, null, 2);
+}
+
+/**
+ * Format a value as indented JSON
+ * @param {any} value - Value to format
+ * @returns {string} The JSON text
+ */
+function toJson(value) {
+  return JSON.stringify(value ?? null, null, 2);
+}
+
+/**
+ * Titles of the message kinds
+ */
+const KIND_TITLES = {
+  [MessageType.SYSTEM]: 'System',
+  [MessageType.USER]: 'User',
+  [MessageType.ASSISTANT]: 'Assistant',
+  [MessageType.INFO]: 'Info'
+};
+
+/**
+ * Get the status shown for a tool entry
+ * @param {Object} entry - Tool entry
+ * @returns {string} 'error', 'pending' or 'success'
+ */
+function toolStatus(entry) {
+  if (entry.pending) return 'pending';
+  return entry.error ? 'error' : 'success';
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Text to escape
+ * @returns {string} The escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Wrap text in a Markdown code block with a fence longer than any backtick run in it
+ * @param {string} text - Text of the block
+ * @param {string} [language=''] - Language of the block
+ * @returns {string} The code block
+ */
+function codeBlock(text, language = '') {
+  const longest = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longest + 1);
+  return `${fence}${language}\n${text}\n${fence}`;
+}
+
+/**
+ * Render a conversation as Markdown.
+ * Tool calls are collapsible <details> blocks with their input and result.
+ * @param {Array<Object>|Object} source - Messages, such as agent.messages, or a serialized conversation
+ * @param {Object} [options] - Export options
+ * @param {string} [options.title='Conversation'] - Title of the document
+ * @param {boolean} [options.timestamps=true] - Whether to show message times
+ * @returns {string} The Markdown document
+ */
+export function exportMarkdown(source, options = {}) {
+  const { title = 'Conversation', timestamps = true } = options;
+  const time = entry => timestamps ? ` · ${entry.timestamp.toISOString()}` : '';
+  const sections = [`# ${title}`];
+
+  for (const entry of toEntries(source)) {
+    if (entry.kind !== 'tool') {
+      sections.push(`## ${KIND_TITLES[entry.kind] || entry.kind}${time(entry)}\n\n${toText(entry.content)}`);
+      continue;
+    }
+
+    const status = toolStatus(entry);
+    const parts = [
+      `<details>\n<summary>Tool call: <code>${escapeHtml(entry.toolName)}</code> (${status})${time(entry)}</summary>`,
+      `**Input**\n\n${codeBlock(toJson(entry.input), 'json')}`
+    ];
+    if (entry.error) {
+      parts.push(`**Error:** ${escapeHtml(entry.error)}`);
+    }
+    if (!entry.pending) {
+      parts.push(`**Result**\n\n${codeBlock(toJson(entry.result), 'json')}`);
+    }
+    parts.push('</details>');
+    sections.push(parts.join('\n\n'));
+  }
+
+  return sections.join('\n\n') + '\n';
+}
+
+/**
+ * Styles of the HTML transcript
+ */
+const HTML_STYLES = `
+body { font-family: system-ui, sans-serif; max-width: 50rem; margin: 2rem auto; padding: 0 1rem; color: #1f2328; }
+section, details { border: 1px solid #d0d7de; border-radius: 6px; margin: 1rem 0; padding: 0.75rem 1rem; }
+header { display: flex; justify-content: space-between; font-weight: 600; }
+time { font-weight: normal; color: #59636e; font-size: 0.85em; }
+pre { white-space: pre-wrap; word-break: break-word; margin: 0.5rem 0; }
+details pre { background: #f6f8fa; padding: 0.5rem; border-radius: 4px; }
+summary { cursor: pointer; }
+h4 { margin: 0.75rem 0 0.25rem; }
+.user { background: #f6f8fa; }
+.system, .info { color: #59636e; }
+.error { border-color: #cf222e; }
+.error-message { color: #cf222e; }
+`.trim();
+
+/**
+ * Render a conversation as a self-contained HTML document.
+ * Tool calls are collapsible <details> elements, failed ones are open.
+ * @param {Array<Object>|Object} source - Messages, such as agent.messages, or a serialized conversation
+ * @param {Object} [options] - Export options
+ * @param {string} [options.title='Conversation'] - Title of the document
+ * @param {boolean} [options.timestamps=true] - Whether to show message times
+ * @returns {string} The HTML document
+ */
+export function exportHtml(source, options = {}) {
+  const { title = 'Conversation', timestamps = true } = options;
+  const time = entry => timestamps
+    ? `<time datetime="${entry.timestamp.toISOString()}">${entry.timestamp.toISOString()}</time>`
+    : '';
+
+  const body = toEntries(source).map(entry => {
+    if (entry.kind !== 'tool') {
+      return [
+        `<section class="${escapeHtml(entry.kind)}">`,
+        `<header><span>${escapeHtml(KIND_TITLES[entry.kind] || entry.kind)}</span>${time(entry)}</header>`,
+        `<pre>${escapeHtml(toText(entry.content))}</pre>`,
+        '</section>'
+      ].join('\n');
+    }
+
+    const status = toolStatus(entry);
+    const parts = [
+      `<details class="tool ${status}"${entry.error ? ' open' : ''}>`,
+      `<summary>Tool call: <code>${escapeHtml(entry.toolName)}</code> (${status}) ${time(entry)}</summary>`,
+      `<h4>Input</h4>\n<pre>${escapeHtml(toJson(entry.input))}</pre>`
+    ];
+    if (entry.error) {
+      parts.push(`<p class="error-message">${escapeHtml(entry.error)}</p>`);
+    }
+    if (!entry.pending) {
+      parts.push(`<h4>Result</h4>\n<pre>${escapeHtml(toJson(entry.result))}</pre>`);
+    }
+    parts.push('</details>');
+    return parts.join('\n');
+  });
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    `<style>\n${HTML_STYLES}\n</style>`,
+    '</head>',
+    '<body>',
+    `<h1>${escapeHtml(title)}</h1>`,
+    ...body,
+    '</body>',
+    '</html>'
+  ].join('\n') + '\n';
+}
+
+/**
+ * Render a conversation in the JSONL replay format.
+ *
+ * The first line is a header. Every other line is a record with a type:
+ * - { type: 'system'|'user'|'info', timestamp, content, injected } where injected
+ *   is the InjectionReason of a user message the agent added itself
+ * - { type: 'response', timestamp, response } for each LLM response
+ * - { type: 'toolResult', timestamp, toolUseId, toolName, result, error }
+ * Tool requests from one model response are joined into one response record.
+ * @param {Array<Object>|Object} source - Messages, such as agent.messages, or a serialized conversation
+ * @returns {string} The JSONL text
+ */
+export function exportJsonl(source) {
+  const records = [{ type: 'header', format: REPLAY_FORMAT, version: REPLAY_FORMAT_VERSION }];
+  let toolResponse = null;
+
+  for (const entry of toEntries(source)) {
+    const timestamp = entry.timestamp.toISOString();
+
+    if (entry.kind !== 'tool') {
+      toolResponse = null;
+      records.push(entry.kind === MessageType.ASSISTANT
+        ? { type: 'response', timestamp, response: { type: ResponseType.ASSISTANT_MESSAGE, content: entry.content } }
+        : { type: entry.kind, timestamp, content: entry.content, ...(entry.injected && { injected: entry.injected }) });
+      continue;
+    }
+
+    // Requests without a responseId come from sessions saved before it was
+    // recorded, those are joined until tool results end the response
+    const sameResponse = toolResponse && (entry.responseId
+      ? entry.responseId === toolResponse.responseId
+      : !toolResponse.responseId && !entry.afterResults);
+    if (!sameResponse) {
+      toolResponse = {
+        responseId: entry.responseId,
+        record: {
+          type: 'response',
+          timestamp,
+          response: { type: ResponseType.ASSISTANT_TOOL_REQUEST, content: '', toolCalls: [] }
+        }
+      };
+      records.push(toolResponse.record);
+    }
+    toolResponse.record.response.toolCalls.push({
+      toolUseId: entry.toolUseId,
+      name: entry.toolName,
+      input: entry.input
+    });
+
+    if (!entry.pending) {
+      records.push({
+        type: 'toolResult',
+        timestamp,
+        toolUseId: entry.toolUseId,
+        toolName: entry.toolName,
+        result: entry.result,
+        ...(entry.error && { error: entry.error })
+      });
+    }
+  }
+
+  return records.map(record => JSON.stringify(record)).join('\n') + '\n';
+}
+
+/**
+ * Export a conversation
+ * @param {Array<Object>|Object} source - Messages, such as agent.messages, or a serialized conversation
+ * @param {string} [format=TranscriptFormat.MARKDOWN] - One of TranscriptFormat
+ * @param {Object} [options] - Options of the format, see exportMarkdown and exportHtml
+ * @returns {string} The exported text
+ */
+export function exportTranscript(source, format = TranscriptFormat.MARKDOWN, options) {
+  switch (format) {
+    case TranscriptFormat.MARKDOWN:
+      return exportMarkdown(source, options);
+    case TranscriptFormat.HTML:
+      return exportHtml(source, options);
+    case TranscriptFormat.JSONL:
+      return exportJsonl(source);
+    default:
+      throw new Error(`Unknown transcript format: ${format}`);
+  }
+}
+
+/**
+ * Parse a transcript in the JSONL replay format
+ * @param {string} text - JSONL text written by exportJsonl
+ * @returns {Array<Object>} The records after the header
+ */
+export function parseTranscriptJsonl(text) {
+  const [header, ...records] = parseJsonLines(text, 'the transcript');
+
+  if (!header || header.format !== REPLAY_FORMAT) {
+    throw new Error('Invalid transcript: the header line is missing');
+  }
+  if (header.version !== REPLAY_FORMAT_VERSION) {
+    throw new Error(`Unsupported transcript format version: ${header.version}`);
+  }
+  return records;
+}
+
+/**
+ * Replay a recorded session offline.
+ *
+ * The recorded LLM responses are served in order by a mock LLM, and every
+ * recorded tool is replaced by a tool that returns the recorded result of each
+ * call unless real tools are given. Each user message is sent with agent.run()
+ * and its answer is added to answers. User messages the agent added itself are
+ * marked as injected: a structured output retry prompt is sent too and its
+ * answer replaces the answer of the turn it retried, and the message sent after
+ * a denied tool call is left out because the replay accepts every tool call.
+ * @param {string|Array<Object>} transcript - JSONL text or records from parseTranscriptJsonl
+ * @param {Object} [options] - Replay options
+ * @param {Array<Object>} [options.tools] - Tools to execute instead of the recorded results
+ * @param {Object} [options.agent] - Additional createAgent configuration
+ * @returns {Promise<Object>} { agent, llm, answers } where answers are the results of each run
+ *   and llm.remaining is the number of recorded responses that were not used
+ * @throws {LLMError} If the agent asks for more responses than were recorded
+ */
+export async function replayTranscript(transcript, options = {}) {
+  const records = typeof transcript === 'string' ? parseTranscriptJsonl(transcript) : transcript;
+
+  const llm = createMockLLM({
+    responses: records.filter(record => record.type === 'response').map(record => record.response)
+  });
+
+  const recordedResults = new Map();
+  for (const record of records.filter(record => record.type === 'toolResult')) {
+    recordedResults.set(record.toolUseId, record.error ? { ...record.result, error: record.error } : record.result);
+  }
+  const toolNames = new Set(records
+    .filter(record => record.type === 'response')
+    .flatMap(record => (record.response.toolCalls || []).map(toolCall => toolCall.name)));
+  const tools = options.tools || [...toolNames].map(name => createTool({
+    name,
+    description: `Replays the recorded results of ${name}`,
+    parameters: { type: 'object' },
+    execute: (params, context) => recordedResults.get(context.toolUseId) ??
+      { error: `No result was recorded for tool call ${context.toolUseId}` }
+  }));
+
+  const system = records.find(record => record.type === 'system');
+  const agent = createAgent({
+    ...options.agent,
+    system: system ? system.content : '',
+    llm,
+    tools,
+    acceptAll: true
+  });
+
+  const answers = [];
+  for (const record of records) {
+    if (record.type !== 'user' || record.injected === InjectionReason.TOOL_DENIED) continue;
+
+    const answer = await agent.run(record.content);
+    if (record.injected === InjectionReason.OUTPUT_RETRY && answers.length > 0) {
+      answers[answers.length - 1] = answer;
+    } else {
+      answers.push(answer);
+    }
+  }
+
+  return { agent, llm, answers };
+}